@@ -11,15 +11,10 @@ initSidebar();
 initTopbar();
 basic();
 
-// Initialize interactive physics features
-// Only if user hasn't disabled motion
-if (window.matchMedia('(prefers-reduced-motion: no-preference)').matches) {
-  // Wait for DOM to be fully loaded
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initPhysicsEngine);
-  } else {
-    initPhysicsEngine();
-  }
+// Initialize interactive physics features, a still frame under reduced motion
+// Wait for DOM to be fully loaded
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initPhysicsEngine);
 } else {
-  console.log('Physics disabled due to reduced motion preference');
+  initPhysicsEngine();
 }
@@ -0,0 +1,77 @@
+/**
+ * Canvas Scene Module
+ * Helpers shared by the scenes that draw on a canvas sized by CSS: measuring it, following its size,
+ * the pixel ratio and the visibility of the page, and listeners that are removed with the scene
+ */
+
+// Sharper than this costs fill rate without a visible difference
+const MAX_PIXEL_RATIO = 2;
+
+/**
+ * Add an event listener
+ * @param {EventTarget} target
+ * @param {string} type
+ * @param {Function} listener
+ * @returns {Function} Removes the listener
+ */
+export function listen(target, type, listener) {
+  target.addEventListener(type, listener);
+  return () => target.removeEventListener(type, listener);
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Object} Size {width, height} in CSS pixels of the canvas, or of the viewport while
+ *   it isn't laid out, and the `pixelRatio` of the display
+ */
+export function measureCanvas(canvas) {
+  return {
+    width: canvas.clientWidth || window.innerWidth,
+    height: canvas.clientHeight || window.innerHeight,
+    pixelRatio: Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO)
+  };
+}
+
+/**
+ * Follow the size of a canvas and the pixel ratio of the display
+ * @param {HTMLCanvasElement} canvas
+ * @param {Function} onResize - Called with the size from `measureCanvas()`
+ * @returns {Function} Stops watching
+ */
+export function watchCanvasSize(canvas, onResize) {
+  const cleanups = [];
+  const resize = () => onResize(measureCanvas(canvas));
+
+  // The pixel ratio changes on zoom and when the window moves to another display
+  let ratioQuery = null;
+  const watchPixelRatio = () => {
+    ratioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+    ratioQuery.addEventListener('change', handleRatioChange, { once: true });
+  };
+  const handleRatioChange = () => {
+    resize();
+    watchPixelRatio();
+  };
+
+  watchPixelRatio();
+  cleanups.push(() => ratioQuery.removeEventListener('change', handleRatioChange));
+
+  if (typeof ResizeObserver !== 'undefined') {
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    cleanups.push(() => observer.disconnect());
+  } else {
+    cleanups.push(listen(window, 'resize', resize));
+  }
+
+  return () => cleanups.forEach((cleanup) => cleanup());
+}
+
+/**
+ * Follow the visibility of the page, scenes stop animating while it is hidden (battery optimization)
+ * @param {Function} onChange - Called with `true` when the page gets hidden, `false` when it shows again
+ * @returns {Function} Stops watching
+ */
+export function watchVisibility(onChange) {
+  return listen(document, 'visibilitychange', () => onChange(document.hidden));
+}
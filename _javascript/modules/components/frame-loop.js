@@ -0,0 +1,73 @@
+/**
+ * Frame Loop Module
+ * Animation loop throttled to a target frame rate, on the main thread or in a worker
+ */
+
+// Dedicated workers without `requestAnimationFrame` fall back to timers
+const hasAnimationFrame = typeof self.requestAnimationFrame === 'function';
+
+function requestFrame(callback) {
+  return hasAnimationFrame
+    ? self.requestAnimationFrame(callback)
+    : self.setTimeout(() => callback(performance.now()), 1000 / 60);
+}
+
+function cancelFrame(id) {
+  if (hasAnimationFrame) {
+    self.cancelAnimationFrame(id);
+  } else {
+    self.clearTimeout(id);
+  }
+}
+
+export class FrameLoop {
+  #getFPS;
+  #frame;
+  #id = null;
+  #lastTime = 0;
+
+  /**
+   * @param {Function} getFPS - Returns the current target frame rate
+   * @param {Function} frame - Called with `(interval)`, the time since the previous frame (0 on the first)
+   */
+  constructor(getFPS, frame) {
+    this.#getFPS = getFPS;
+    this.#frame = frame;
+  }
+
+  /**
+   * @returns {boolean} Whether the loop is running
+   */
+  get running() {
+    return this.#id !== null;
+  }
+
+  start() {
+    if (this.running) return; // Already running
+
+    this.#lastTime = 0;
+    this.#id = requestFrame(this.#animate);
+  }
+
+  stop() {
+    if (this.#id !== null) {
+      cancelFrame(this.#id);
+      this.#id = null;
+    }
+  }
+
+  #animate = (timestamp) => {
+    this.#id = requestFrame(this.#animate);
+
+    // Throttle to target FPS, with a little slack for timer jitter
+    const frameDelay = 1000 / this.#getFPS();
+    if (timestamp - this.#lastTime < frameDelay - 1) {
+      return;
+    }
+
+    const interval = this.#lastTime ? timestamp - this.#lastTime : 0;
+    this.#lastTime = timestamp;
+
+    this.#frame(interval);
+  };
+}
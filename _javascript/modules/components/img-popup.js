@@ -6,20 +6,9 @@
 
 const lightImages = '.popup:not(.dark)';
 const darkImages = '.popup:not(.light)';
-let selector = lightImages;
 
-function updateImages(current, reverse) {
-  if (selector === lightImages) {
-    selector = darkImages;
-  } else {
-    selector = lightImages;
-  }
-
-  if (reverse === null) {
-    reverse = GLightbox({ selector: `${selector}` });
-  }
-
-  [current, reverse] = [reverse, current];
+function getSelector(scheme) {
+  return scheme === Theme.DARK ? darkImages : lightImages;
 }
 
 export function imgPopup() {
@@ -32,19 +21,17 @@ export function imgPopup() {
     document.querySelector('.popup.dark') === null
   );
 
-  if (Theme.visualState === Theme.DARK) {
-    selector = darkImages;
-  }
-
-  let current = GLightbox({ selector: `${selector}` });
+  let lightbox = GLightbox({ selector: getSelector(Theme.scheme) });
 
   if (hasDualImages && Theme.switchable) {
-    let reverse = null;
-
-    window.addEventListener('message', (event) => {
-      if (event.source === window && event.data && event.data.id === Theme.ID) {
-        updateImages(current, reverse);
+    Theme.onChange(({ detail: { previous, current } }) => {
+      // Named themes share the images of the scheme they are based on
+      if (current.scheme === previous.scheme) {
+        return;
       }
+
+      lightbox.destroy();
+      lightbox = GLightbox({ selector: getSelector(current.scheme) });
     });
   }
 }
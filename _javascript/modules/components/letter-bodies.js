@@ -0,0 +1,208 @@
+/**
+ * Letter Bodies Module
+ * Turns the glyphs of the site title into bodies held at their place in the heading by springs.
+ * A letter knocked away is let go, and pulled back after a delay to spell the title again.
+ * DOM-free, the glyphs are measured on the main thread (see overlay-obstacles.js).
+ */
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html) or by the physics worker
+const Matter = self.Matter;
+
+// Smallest side of a letter body, so that dots and dashes can still be hit (px)
+const MIN_SIZE = 4;
+
+// Distance from home beyond which a letter counts as knocked away (px)
+const KNOCK_DISTANCE = 16;
+
+// Time a knocked letter moves freely before it is pulled back (ms)
+const RETURN_DELAY = 3000;
+
+// Distance from home and tilt at which a returning letter is held again (px, rad)
+const HOME_DISTANCE = 2;
+const HOME_ANGLE = 0.05;
+
+// Springs of a letter at home, and of a letter on its way back
+const HOLD_STIFFNESS = 0.1;
+const RETURN_STIFFNESS = 0.01;
+const SPRING_DAMPING = 0.1;
+
+/**
+ * Create one body per glyph, shaped like its ink box and held at home by two springs,
+ * one at each side, so that it also turns back upright
+ * @param {Matter.World} world - Matter.js world
+ * @param {Object} glyphSet - Glyphs {font, glyphs} from `measureGlyphs()`
+ * @returns {Array} The letter bodies
+ */
+export function createLetterBodies(world, { font, glyphs }) {
+  const letters = glyphs.map((glyph) => {
+    const width = Math.max(glyph.right - glyph.left, MIN_SIZE);
+    const height = Math.max(glyph.bottom - glyph.top, MIN_SIZE);
+
+    // Center of the ink box, relative to the text origin
+    const center = { x: (glyph.left + glyph.right) / 2, y: (glyph.top + glyph.bottom) / 2 };
+    const home = { x: glyph.x + center.x, y: glyph.y + center.y };
+
+    const body = Matter.Bodies.rectangle(home.x, home.y, width, height, {
+      restitution: 0.3,
+      friction: 0.1,
+      frictionAir: 0.05,
+      label: 'letter'
+    });
+
+    const springs = [-1, 1].map((side) =>
+      Matter.Constraint.create({
+        pointA: { x: home.x + (side * width) / 2, y: home.y },
+        bodyB: body,
+        pointB: { x: (side * width) / 2, y: 0 },
+        length: 0,
+        stiffness: HOLD_STIFFNESS,
+        damping: SPRING_DAMPING,
+        label: 'letter-spring'
+      })
+    );
+
+    body.plugin.letter = {
+      char: glyph.char,
+      font,
+      // Text origin relative to the body center
+      offset: { x: -center.x, y: -center.y },
+      home,
+      springs,
+      // Time since the letter was knocked away (ms), null while it is held at home
+      releasedFor: null
+    };
+
+    Matter.World.add(world, [body, ...springs]);
+
+    return body;
+  });
+
+  return letters;
+}
+
+/**
+ * Remove letter bodies and their springs
+ * @param {Matter.World} world - Matter.js world
+ * @param {Array} letters - Letter bodies
+ */
+export function removeLetterBodies(world, letters) {
+  Matter.World.remove(world, letters.flatMap((body) => [body, ...body.plugin.letter.springs]));
+}
+
+/**
+ * Move the homes of the letters, e.g. after the heading moved with the layout.
+ * Letters held at home move along at once.
+ * @param {Array} letters - Letter bodies from the same glyphs, see `getGlyphKey()`
+ * @param {Object} glyphSet - Glyphs {font, glyphs} from `measureGlyphs()`
+ */
+export function moveLetterHomes(letters, { glyphs }) {
+  letters.forEach((body, index) => {
+    const letter = body.plugin.letter;
+    const glyph = glyphs[index];
+    const home = { x: glyph.x - letter.offset.x, y: glyph.y - letter.offset.y };
+
+    letter.springs.forEach((spring) => {
+      spring.pointA = { x: home.x + spring.pointB.x, y: home.y };
+    });
+    letter.home = home;
+
+    if (letter.releasedFor === null) {
+      Matter.Body.setPosition(body, home);
+      Matter.Body.setAngle(body, 0);
+      Matter.Body.setVelocity(body, { x: 0, y: 0 });
+      Matter.Body.setAngularVelocity(body, 0);
+    }
+  });
+}
+
+/**
+ * Describe the shapes of a set of glyphs, letters made from an equal key only differ by their place
+ * @param {Object|null} glyphSet - Glyphs {font, glyphs} from `measureGlyphs()`
+ * @returns {string}
+ */
+export function getGlyphKey(glyphSet) {
+  if (!glyphSet) {
+    return '';
+  }
+
+  const shapes = glyphSet.glyphs.map(({ char, left, right, top, bottom }) =>
+    [char, left, right, top, bottom].map((value) => (typeof value === 'number' ? Math.round(value) : value))
+  );
+  return JSON.stringify([glyphSet.font, shapes]);
+}
+
+/**
+ * Let go of the letters that were knocked away, and pull them back home after a delay.
+ * Held letters float in place, the gravity of the scene only takes the released ones.
+ * @param {Array} letters - Letter bodies
+ * @param {Matter.Engine} engine - Matter.js engine
+ * @param {number} delta - Step length (ms)
+ */
+export function updateLetters(letters, engine, delta) {
+  const { gravity } = engine;
+
+  letters.forEach((body) => {
+    const letter = body.plugin.letter;
+    const dx = body.position.x - letter.home.x;
+    const dy = body.position.y - letter.home.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (letter.releasedFor === null) {
+      if (distance > KNOCK_DISTANCE) {
+        letter.releasedFor = 0;
+        setSprings(letter, 0);
+      }
+    } else {
+      letter.releasedFor += delta;
+
+      if (letter.releasedFor >= RETURN_DELAY) {
+        if (distance < HOME_DISTANCE && Math.abs(getTilt(body)) < HOME_ANGLE) {
+          letter.releasedFor = null;
+          setSprings(letter, HOLD_STIFFNESS);
+        } else {
+          setSprings(letter, RETURN_STIFFNESS);
+        }
+      }
+    }
+
+    const pulled = letter.releasedFor === null || letter.releasedFor >= RETURN_DELAY;
+    if (pulled) {
+      Matter.Body.applyForce(body, body.position, {
+        x: -gravity.x * gravity.scale * body.mass,
+        y: -gravity.y * gravity.scale * body.mass
+      });
+    }
+  });
+}
+
+/**
+ * Draw the glyph of a letter body
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context already translated and rotated to the body
+ * @param {Matter.Body} body - Letter body
+ * @param {string} color - Text color, the one of the heading
+ */
+export function drawLetter(ctx, body, color) {
+  const { char, font, offset } = body.plugin.letter;
+
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(char, offset.x, offset.y);
+}
+
+/**
+ * @param {Matter.Body} body
+ * @returns {number} Angle of the body from upright, between -π and π
+ */
+function getTilt(body) {
+  return Math.atan2(Math.sin(body.angle), Math.cos(body.angle));
+}
+
+function setSprings(letter, stiffness) {
+  letter.springs.forEach((spring) => {
+    spring.stiffness = stiffness;
+    // Damping works even without stiffness, it would slow the flight of a released letter
+    spring.damping = stiffness > 0 ? SPRING_DAMPING : 0;
+  });
+}
@@ -3,24 +3,27 @@
  */
 
 const MERMAID = 'mermaid';
-const themeMapper = Theme.getThemeMapper('default', 'dark');
+const themeMapper = Theme.getThemeMapper('default', 'dark', { sepia: 'neutral' });
 
 function refreshTheme(event) {
-  if (event.source === window && event.data && event.data.id === Theme.ID) {
-    // Re-render the SVG › <https://github.com/mermaid-js/mermaid/issues/311#issuecomment-332557344>
-    const mermaidList = document.getElementsByClassName(MERMAID);
+  const { previous, current } = event.detail;
+  const newTheme = themeMapper[current.mode];
 
-    [...mermaidList].forEach((elem) => {
-      const svgCode = elem.previousSibling.children.item(0).textContent;
-      elem.textContent = svgCode;
-      elem.removeAttribute('data-processed');
-    });
+  if (newTheme === themeMapper[previous.mode]) {
+    return;
+  }
 
-    const newTheme = themeMapper[Theme.visualState];
+  // Re-render the SVG › <https://github.com/mermaid-js/mermaid/issues/311#issuecomment-332557344>
+  const mermaidList = document.getElementsByClassName(MERMAID);
 
-    mermaid.initialize({ theme: newTheme });
-    mermaid.init(null, `.${MERMAID}`);
-  }
+  [...mermaidList].forEach((elem) => {
+    const svgCode = elem.previousSibling.children.item(0).textContent;
+    elem.textContent = svgCode;
+    elem.removeAttribute('data-processed');
+  });
+
+  mermaid.initialize({ theme: newTheme });
+  mermaid.init(null, `.${MERMAID}`);
 }
 
 function setNode(elem) {
@@ -55,6 +58,6 @@ export function loadMermaid() {
   mermaid.initialize(mermaidConf);
 
   if (Theme.switchable) {
-    window.addEventListener('message', refreshTheme);
+    Theme.onChange(refreshTheme);
   }
 }
@@ -1,15 +1,44 @@
 /**
- * Add listener for theme mode toggle
+ * Add listener for theme mode toggle.
+ * The button cycles through following the system, light, dark and the named themes of the site,
+ * and shows the current choice with its icon and label.
  */
 
 const $toggle = document.getElementById('mode-toggle');
 
+const ICONS = {
+  system: 'fa-circle-half-stroke',
+  light: 'fa-sun',
+  dark: 'fa-moon',
+  'high-contrast': 'fa-eye',
+  sepia: 'fa-book-open'
+};
+
+// For themes registered without an icon of their own
+const DEFAULT_ICON = 'fa-palette';
+
+function update() {
+  const preference = Theme.preference;
+  const label = $toggle.getAttribute(`data-${preference}-label`) || preference;
+
+  $toggle.innerHTML = `<i class="fas ${ICONS[preference] || DEFAULT_ICON}"></i>`;
+  $toggle.setAttribute('aria-label', label);
+}
+
 export function modeWatcher() {
   if (!$toggle) {
     return;
   }
 
+  const order = [Theme.SYSTEM, ...Theme.themes];
+
+  update();
+
   $toggle.addEventListener('click', () => {
-    Theme.flip();
+    const next = order[(order.indexOf(Theme.preference) + 1) % order.length];
+    Theme.setPreference(next, $toggle);
   });
+
+  // Also when the choice changes in another tab, or is reset by a change of the system setting
+  Theme.onChange(update);
 }
@@ -1,11 +1,10 @@
 /**
  * Mouse Tracker Module
- * Tracks mouse/touch position for physics interactions
+ * Tracks every active pointer (mouse, touch, pen) for physics interactions
  */
 
-// Module state
-let mousePosition = { x: 0, y: 0 };
-let isTracking = false;
+// Weight of the newest sample in the smoothed velocity
+const VELOCITY_SMOOTHING = 0.5;
 
 /**
  * Check if device has touch screen
@@ -14,76 +13,124 @@ export function isTouchDevice() {
   return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 }
 
-/**
- * Initialize mouse tracking on canvas
- * @param {HTMLCanvasElement} canvas - Canvas element to track
- */
-export function initMouseTracker(canvas) {
-  if (!canvas) {
-    console.error('Canvas element required for mouse tracking');
-    return;
-  }
+export class PointerTracker {
+  #canvas;
+  #listeners;
+
+  /**
+   * Active pointers {id, type, isPrimary, position, velocity, pressure, time} by pointer id
+   * @type {Map<number, Object>}
+   */
+  pointers = new Map();
 
-  // Mouse events
-  canvas.addEventListener('mousemove', handleMouseMove);
-  canvas.addEventListener('mouseenter', () => {
-    isTracking = true;
-  });
-  canvas.addEventListener('mouseleave', () => {
-    isTracking = false;
-  });
-
-  // Touch events for mobile
-  if (isTouchDevice()) {
-    canvas.addEventListener('touchstart', handleTouch, { passive: false });
-    canvas.addEventListener('touchmove', handleTouch, { passive: false });
-    canvas.addEventListener('touchend', () => {
-      isTracking = false;
+  /**
+   * Leave touches to the page, e.g. for scrolling
+   * @type {boolean}
+   */
+  ignoreTouch = false;
+
+  /**
+   * Start tracking the pointers on a canvas
+   * @param {HTMLCanvasElement} canvas - Canvas element to track
+   */
+  constructor(canvas) {
+    this.#canvas = canvas;
+    this.#listeners = {
+      pointerdown: this.#handlePointerMove,
+      pointermove: this.#handlePointerMove,
+      pointerup: this.#handlePointerEnd,
+      pointercancel: this.#handlePointerEnd,
+      pointerleave: this.#handlePointerEnd
+    };
+
+    Object.entries(this.#listeners).forEach(([type, listener]) => {
+      canvas.addEventListener(type, listener);
     });
   }
 
-  console.log('Mouse tracker initialized');
-}
+  /**
+   * Get current position of the primary pointer
+   * @returns {Object|null} Position {x, y} or null if not tracking
+   */
+  get primaryPosition() {
+    for (const pointer of this.pointers.values()) {
+      if (pointer.isPrimary) {
+        return pointer.position;
+      }
+    }
+    return null;
+  }
 
-/**
- * Handle mouse move event
- * @param {MouseEvent} event
- */
-function handleMouseMove(event) {
-  const rect = event.target.getBoundingClientRect();
-  mousePosition.x = event.clientX - rect.left;
-  mousePosition.y = event.clientY - rect.top;
-  isTracking = true;
-}
+  /**
+   * Check if any pointer is currently being tracked
+   * @returns {boolean}
+   */
+  get active() {
+    return this.pointers.size > 0;
+  }
 
-/**
- * Handle touch event
- * @param {TouchEvent} event
- */
-function handleTouch(event) {
-  event.preventDefault(); // Prevent scrolling
-
-  if (event.touches.length > 0) {
-    const touch = event.touches[0];
-    const rect = event.target.getBoundingClientRect();
-    mousePosition.x = touch.clientX - rect.left;
-    mousePosition.y = touch.clientY - rect.top;
-    isTracking = true;
+  /**
+   * Stop tracking and forget every pointer
+   */
+  destroy() {
+    Object.entries(this.#listeners).forEach(([type, listener]) => {
+      this.#canvas.removeEventListener(type, listener);
+    });
+    this.pointers.clear();
   }
-}
 
-/**
- * Get current mouse position
- * @returns {Object|null} Mouse position {x, y} or null if not tracking
- */
-export function getMousePosition() {
-  return isTracking ? mousePosition : null;
-}
+  /**
+   * Add or update the pointer of an event
+   * @param {PointerEvent} event
+   */
+  #handlePointerMove = (event) => {
+    if (this.ignoreTouch && event.pointerType === 'touch') {
+      this.pointers.delete(event.pointerId);
+      return;
+    }
 
-/**
- * Check if mouse is currently being tracked
- * @returns {boolean}
- */
-export function isMouseTracking() {
-  return isTracking;
+    const rect = this.#canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    const last = this.pointers.get(event.pointerId);
+
+    let velocity = { x: 0, y: 0 };
+
+    if (last) {
+      const dt = event.timeStamp - last.time;
+
+      if (dt > 0) {
+        velocity = {
+          x: last.velocity.x + ((x - last.position.x) / dt - last.velocity.x) * VELOCITY_SMOOTHING,
+          y: last.velocity.y + ((y - last.position.y) / dt - last.velocity.y) * VELOCITY_SMOOTHING
+        };
+      } else {
+        velocity = last.velocity;
+      }
+    }
+
+    this.pointers.set(event.pointerId, {
+      id: event.pointerId,
+      type: event.pointerType,
+      isPrimary: event.isPrimary,
+      position: { x, y },
+      velocity,
+      pressure: event.pressure,
+      time: event.timeStamp
+    });
+  };
+
+  /**
+   * Forget a pointer once it is lifted or leaves the canvas.
+   * A mouse keeps hovering after its button is released.
+   * @param {PointerEvent} event
+   */
+  #handlePointerEnd = (event) => {
+    if (event.type === 'pointerup' && event.pointerType === 'mouse') {
+      this.#handlePointerMove(event);
+      return;
+    }
+
+    this.pointers.delete(event.pointerId);
+  };
 }
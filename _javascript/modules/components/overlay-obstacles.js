@@ -0,0 +1,185 @@
+/**
+ * Overlay Obstacles Module
+ * Measures the DOM elements marked with `data-physics-obstacle` so that they can be
+ * mirrored as static bodies, and the glyphs of the site title for its letter bodies.
+ * Both are measured again whenever the layout may have changed.
+ */
+
+const OBSTACLE_SELECTOR = '[data-physics-obstacle]';
+
+/**
+ * Measure the obstacles relative to the canvas.
+ * Elements marked `data-physics-obstacle="text"` use the boxes of their text lines,
+ * the others their border box.
+ * @param {HTMLCanvasElement} canvas - Canvas the bodies live on
+ * @param {Array<HTMLElement>} elements - Obstacle elements
+ * @returns {Array} Rectangles {x, y, width, height, radius} in canvas coordinates
+ */
+export function measureObstacles(canvas, elements) {
+  const origin = canvas.getBoundingClientRect();
+  const rects = [];
+
+  elements.forEach((element) => {
+    if (element.dataset.physicsObstacle === 'text') {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+
+      [...range.getClientRects()].forEach((rect) => {
+        rects.push(toCanvasRect(rect, origin, 0));
+      });
+    } else {
+      const radius = parseFloat(getComputedStyle(element).borderTopLeftRadius) || 0;
+      rects.push(toCanvasRect(element.getBoundingClientRect(), origin, radius));
+    }
+  });
+
+  return rects.filter((rect) => rect.width > 0 && rect.height > 0);
+}
+
+/**
+ * Measure every glyph of an element, e.g. the site title, relative to the canvas.
+ * Whitespace is skipped.
+ * @param {HTMLCanvasElement} canvas - Canvas the bodies live on
+ * @param {HTMLElement} element - Element with text, its lines may wrap
+ * @returns {Object} Glyphs {font, glyphs}, each glyph {char, x, y} with its text origin on the baseline,
+ *   and its ink box {left, right, top, bottom} around that origin
+ */
+export function measureGlyphs(canvas, element) {
+  const origin = canvas.getBoundingClientRect();
+  const style = getComputedStyle(element);
+  const font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+  const ctx = getMeasureContext();
+  const range = document.createRange();
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const glyphs = [];
+
+  ctx.font = font;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    let offset = 0;
+
+    // Iterate by code point, so that surrogate pairs stay whole
+    for (const char of node.data) {
+      range.setStart(node, offset);
+      range.setEnd(node, offset + char.length);
+      offset += char.length;
+
+      const rect = range.getBoundingClientRect();
+      if (/\s/.test(char) || rect.width === 0) continue;
+
+      // The box of a text range spans the font's ascent and descent
+      const metrics = ctx.measureText(char);
+
+      glyphs.push({
+        char,
+        x: rect.left - origin.left,
+        y: rect.top - origin.top + metrics.fontBoundingBoxAscent,
+        left: -metrics.actualBoundingBoxLeft,
+        right: metrics.actualBoundingBoxRight,
+        top: -metrics.actualBoundingBoxAscent,
+        bottom: metrics.actualBoundingBoxDescent
+      });
+    }
+  }
+
+  return { font, glyphs };
+}
+
+/**
+ * Call `onChange` with fresh measurements now and after every resize, font load or layout change
+ * @param {HTMLCanvasElement} canvas - Canvas the bodies live on
+ * @param {HTMLElement} root - Element that contains the obstacles
+ * @param {Function} onChange - Receives the rectangles from `measureObstacles()`
+ * @param {HTMLElement|null} ignore - Obstacle to leave out, e.g. the title while its letters are bodies
+ * @returns {Function} Stops watching
+ */
+export function watchObstacles(canvas, root, onChange, ignore = null) {
+  const elements = [...root.querySelectorAll(OBSTACLE_SELECTOR)].filter((element) => element !== ignore);
+  if (elements.length === 0) return () => {};
+
+  return watchLayout(canvas, elements, () => onChange(measureObstacles(canvas, elements)));
+}
+
+/**
+ * Call `onChange` with fresh glyphs now and whenever they may have moved or changed shape
+ * @param {HTMLCanvasElement} canvas - Canvas the bodies live on
+ * @param {HTMLElement} element - Element whose glyphs are measured
+ * @param {Function} onChange - Receives the glyphs from `measureGlyphs()`
+ * @returns {Function} Stops watching
+ */
+export function watchGlyphs(canvas, element, onChange) {
+  return watchLayout(canvas, [element], () => onChange(measureGlyphs(canvas, element)));
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<HTMLElement>} elements - Elements whose size changes call `measure`
+ * @param {Function} measure - Measures and reports the elements
+ * @returns {Function} Stops watching
+ */
+function watchLayout(canvas, elements, measure) {
+  let frameId = null;
+  let stopped = false;
+  let observer = null;
+
+  // Batch bursts of changes into one measurement per frame
+  const update = () => {
+    if (frameId || stopped) return;
+
+    frameId = requestAnimationFrame(() => {
+      frameId = null;
+      measure();
+    });
+  };
+
+  update();
+
+  window.addEventListener('resize', update);
+
+  if (typeof ResizeObserver !== 'undefined') {
+    observer = new ResizeObserver(update);
+    elements.forEach((element) => observer.observe(element));
+    observer.observe(canvas);
+  }
+
+  if (document.fonts) {
+    document.fonts.ready.then(update);
+    document.fonts.addEventListener('loadingdone', update);
+  }
+
+  return () => {
+    stopped = true;
+    cancelAnimationFrame(frameId);
+    window.removeEventListener('resize', update);
+
+    if (observer) {
+      observer.disconnect();
+    }
+
+    if (document.fonts) {
+      document.fonts.removeEventListener('loadingdone', update);
+    }
+  };
+}
+
+function toCanvasRect(rect, origin, radius) {
+  return {
+    x: rect.left - origin.left,
+    y: rect.top - origin.top,
+    width: rect.width,
+    height: rect.height,
+    radius: Math.min(radius, rect.width / 2, rect.height / 2)
+  };
+}
+
+let measureContext = null;
+
+/**
+ * @returns {CanvasRenderingContext2D} A context of a detached canvas, for text metrics
+ */
+function getMeasureContext() {
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+  return measureContext;
+}
@@ -3,22 +3,42 @@
  * Creates and manages physics particles with different shapes and colors
  */
 
-// Matter.js is loaded via CDN (see _includes/js-selector.html)
-const Matter = window.Matter;
+// Matter.js is loaded via CDN (see _includes/js-selector.html) or by the physics worker
+const Matter = self.Matter;
+
+// Upper limit of `--physics-color-N` variables read from the theme
+const MAX_THEME_COLORS = 12;
+
+// For themes that don't define `--physics-color-N`
+const FALLBACK_COLORS = {
+  light: ['#0052cc', '#ff5630', '#6554c0', '#ff8b00'],
+  dark: ['#4c9aff', '#ff6b9d', '#c69eff', '#ffab00']
+};
 
 /**
- * Get theme-aware colors from CSS custom properties
+ * Get theme-aware colors from the site config, or else from the CSS custom properties `--physics-color-N`
+ * @param {Object} palette - Palettes by theme name, e.g. {light, dark}, from the site config, null to use the theme.
+ *   A named theme without a palette of its own takes the one of its scheme.
+ * @returns {Array<string|Array<string>>} Colors, where a list of colors is a gradient
  */
-export function getThemeColors() {
-  // Try to get colors from CSS custom properties
-  const root = document.documentElement;
-  const isDark = root.getAttribute('data-mode') === 'dark';
-
-  if (isDark) {
-    return ['#4c9aff', '#ff6b9d', '#c69eff', '#ffab00'];
-  } else {
-    return ['#0052cc', '#ff5630', '#6554c0', '#ff8b00'];
+export function getThemeColors(palette = {}) {
+  const mode = Theme.visualState;
+  const scheme = Theme.scheme;
+
+  if (palette[mode] || palette[scheme]) {
+    return palette[mode] || palette[scheme];
   }
+
+  const style = getComputedStyle(document.documentElement);
+  const colors = [];
+
+  for (let i = 1; i <= MAX_THEME_COLORS; i++) {
+    const color = style.getPropertyValue(`--physics-color-${i}`).trim();
+    if (!color) break;
+    colors.push(color);
+  }
+
+  return colors.length > 0 ? colors : FALLBACK_COLORS[scheme];
 }
 
 /**
@@ -27,77 +47,32 @@ export function getThemeColors() {
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  * @param {number} count - Number of particles to create
+ * @param {Object} options - Appearance {shapes, size: {min, max}, restitution, frictionAir}
+ * @param {Array<string>} colors - Palette to pick from
+ * @param {Function} random - Random number generator (see seeded-random.js)
  * @returns {Array} Array of Matter.js bodies
  */
-export function createParticles(world, width, height, count) {
+export function createParticles(world, width, height, count, options, colors, random = Math.random) {
   const particles = [];
-  const colors = getThemeColors();
-  const shapes = ['circle', 'rectangle', 'triangle'];
 
   for (let i = 0; i < count; i++) {
     // Random position
-    const x = Math.random() * width;
-    const y = Math.random() * height;
-
-    // Random shape
-    const shape = shapes[Math.floor(Math.random() * shapes.length)];
-
-    // Random size
-    const size = 15 + Math.random() * 20;
+    const x = random() * width;
+    const y = random() * height;
 
     // Random color
-    const color = colors[Math.floor(Math.random() * colors.length)];
-
-    // Create particle based on shape
-    let particle;
-
-    switch (shape) {
-      case 'circle':
-        particle = Matter.Bodies.circle(x, y, size, {
-          restitution: 0.6,
-          friction: 0.01,
-          frictionAir: 0.01,
-          render: {
-            fillStyle: color
-          }
-        });
-        break;
-
-      case 'rectangle':
-        particle = Matter.Bodies.rectangle(x, y, size * 1.5, size * 1.5, {
-          restitution: 0.6,
-          friction: 0.01,
-          frictionAir: 0.01,
-          chamfer: { radius: 5 },
-          render: {
-            fillStyle: color
-          }
-        });
-        break;
-
-      case 'triangle':
-        particle = Matter.Bodies.polygon(x, y, 3, size, {
-          restitution: 0.6,
-          friction: 0.01,
-          frictionAir: 0.01,
-          render: {
-            fillStyle: color
-          }
-        });
-        break;
-
-      default:
-        particle = Matter.Bodies.circle(x, y, size);
-    }
+    const color = colors[Math.floor(random() * colors.length)];
+
+    const particle = createParticleBody(x, y, color, options, random);
 
     // Give initial random velocity
     Matter.Body.setVelocity(particle, {
-      x: (Math.random() - 0.5) * 2,
-      y: (Math.random() - 0.5) * 2
+      x: (random() - 0.5) * 2,
+      y: (random() - 0.5) * 2
     });
 
     // Give initial random angular velocity
-    Matter.Body.setAngularVelocity(particle, (Math.random() - 0.5) * 0.1);
+    Matter.Body.setAngularVelocity(particle, (random() - 0.5) * 0.1);
 
     particles.push(particle);
   }
@@ -113,63 +88,139 @@ export function createParticles(world, width, height, count) {
  * @param {Matter.World} world - Matter.js world
  * @param {number} x - X position
  * @param {number} y - Y position
+ * @param {Object} options - Appearance {shapes, size: {min, max}, restitution, frictionAir}
+ * @param {Array<string>} colors - Palette to pick from
+ * @param {Function} random - Random number generator (see seeded-random.js)
  * @returns {Matter.Body} Created particle
  */
-export function createSingleParticle(world, x, y) {
-  const colors = getThemeColors();
-  const shapes = ['circle', 'rectangle', 'triangle'];
-  const shape = shapes[Math.floor(Math.random() * shapes.length)];
-  const size = 15 + Math.random() * 20;
-  const color = colors[Math.floor(Math.random() * colors.length)];
+export function createSingleParticle(world, x, y, options, colors, random = Math.random) {
+  const color = colors[Math.floor(random() * colors.length)];
 
-  let particle;
+  const particle = createParticleBody(x, y, color, options, random);
 
-  switch (shape) {
-    case 'circle':
-      particle = Matter.Bodies.circle(x, y, size, {
-        restitution: 0.6,
-        friction: 0.01,
-        frictionAir: 0.01,
-        render: {
-          fillStyle: color
-        }
-      });
-      break;
+  // Give initial velocity
+  Matter.Body.setVelocity(particle, {
+    x: (random() - 0.5) * 5,
+    y: (random() - 0.5) * 5
+  });
+
+  Matter.World.add(world, particle);
+
+  return particle;
+}
+
+/**
+ * Create a body with a random shape and size
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {string} color - Fill color
+ * @param {Object} options - Appearance {shapes, size: {min, max}, restitution, frictionAir}
+ * @param {Function} random - Random number generator
+ * @returns {Matter.Body}
+ */
+function createParticleBody(x, y, color, { shapes, size: sizeRange, restitution, frictionAir = 0.01 }, random) {
+  // Random shape
+  const shape = shapes[Math.floor(random() * shapes.length)];
+
+  // Random size
+  const size = sizeRange.min + random() * (sizeRange.max - sizeRange.min);
+
+  const bodyOptions = {
+    restitution,
+    friction: 0.01,
+    frictionAir,
+    render: {
+      fillStyle: color
+    }
+  };
 
+  let body;
+
+  switch (shape) {
     case 'rectangle':
-      particle = Matter.Bodies.rectangle(x, y, size * 1.5, size * 1.5, {
-        restitution: 0.6,
-        friction: 0.01,
-        frictionAir: 0.01,
-        chamfer: { radius: 5 },
-        render: {
-          fillStyle: color
-        }
+      body = Matter.Bodies.rectangle(x, y, size * 1.5, size * 1.5, {
+        ...bodyOptions,
+        chamfer: { radius: 5 }
       });
       break;
 
     case 'triangle':
-      particle = Matter.Bodies.polygon(x, y, 3, size, {
-        restitution: 0.6,
-        friction: 0.01,
-        frictionAir: 0.01,
-        render: {
-          fillStyle: color
-        }
-      });
+      body = Matter.Bodies.polygon(x, y, 3, size, bodyOptions);
       break;
 
     default:
-      particle = Matter.Bodies.circle(x, y, size);
+      body = Matter.Bodies.circle(x, y, size, bodyOptions);
   }
 
-  // Give initial velocity
-  Matter.Body.setVelocity(particle, {
-    x: (Math.random() - 0.5) * 5,
-    y: (Math.random() - 0.5) * 5
+  // Enough to build the same body again, see `getParticleState()`
+  body.plugin.shape = shape;
+  body.plugin.size = size;
+
+  return body;
+}
+
+/**
+ * Describe a particle in plain data that survives JSON
+ * @param {Matter.Body} particle - Particle from `createParticles()` or `createSingleParticle()`
+ * @returns {Object} State {shape, size, color} and the motion from `getBodyMotion()`
+ */
+export function getParticleState(particle) {
+  return {
+    shape: particle.plugin.shape,
+    size: particle.plugin.size,
+    color: particle.render.fillStyle,
+    ...getBodyMotion(particle)
+  };
+}
+
+/**
+ * Build particles again from their states
+ * @param {Matter.World} world - Matter.js world
+ * @param {Array<Object>} states - States from `getParticleState()`
+ * @param {Object} options - Appearance {restitution, frictionAir}, the shape and size come from the states
+ * @returns {Array} Array of Matter.js bodies
+ */
+export function restoreParticles(world, states, options) {
+  const particles = states.map((state) => {
+    const particle = createParticleBody(
+      state.x,
+      state.y,
+      state.color,
+      { ...options, shapes: [state.shape], size: { min: state.size, max: state.size } },
+      Math.random
+    );
+
+    setBodyMotion(particle, state);
+    return particle;
   });
 
-  Matter.World.add(world, particle);
+  Matter.World.add(world, particles);
 
-  return particle;
+  return particles;
+}
+
+/**
+ * @param {Matter.Body} body
+ * @returns {Object} Motion {x, y, angle, vx, vy, spin}
+ */
+export function getBodyMotion(body) {
+  return {
+    x: body.position.x,
+    y: body.position.y,
+    angle: body.angle,
+    vx: body.velocity.x,
+    vy: body.velocity.y,
+    spin: body.angularVelocity
+  };
+}
+
+/**
+ * @param {Matter.Body} body
+ * @param {Object} motion - Motion from `getBodyMotion()`
+ */
+export function setBodyMotion(body, { x, y, angle, vx, vy, spin }) {
+  Matter.Body.setPosition(body, { x, y });
+  Matter.Body.setAngle(body, angle);
+  Matter.Body.setVelocity(body, { x: vx, y: vy });
+  Matter.Body.setAngularVelocity(body, spin);
 }
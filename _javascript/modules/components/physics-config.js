@@ -0,0 +1,285 @@
+/**
+ * Physics Config Module
+ * Default tuning values of the physics scene, and site overrides read from
+ * the `data-config` attribute of the canvas (see `interactive_home` in _config.yml)
+ */
+
+import { isTouchDevice } from './mouse-tracker';
+import { parseSeed } from './seeded-random';
+import { PRESET_NAMES } from './physics-presets';
+import { logger } from './physics-logger';
+
+export const SHAPES = ['circle', 'rectangle', 'triangle'];
+export const FORCE_MODES = ['attract', 'repel'];
+export const RENDERERS = ['sprite', 'path'];
+
+/**
+ * Accepted options, by their name in _config.yml
+ */
+const SCHEMA = {
+  particle_count: { key: 'particleCount', type: 'integer', min: 0, max: 500 },
+  max_particles: { key: 'maxParticles', type: 'integer', min: 0, max: 1000 },
+  min_particles: { key: 'minParticles', type: 'integer', min: 0, max: 500 },
+  target_fps: { key: 'targetFPS', type: 'integer', min: 1, max: 240 },
+  min_fps: { key: 'minFPS', type: 'integer', min: 1, max: 240 },
+  interaction_radius: { key: 'interactionRadius', type: 'number', min: 0, max: 2000 },
+  force_magnitude: { key: 'forceMagnitude', type: 'number', min: 0, max: 0.1 },
+  force_mode: { key: 'forceMode', type: 'enum', values: FORCE_MODES },
+  preset: { key: 'preset', type: 'enum', values: PRESET_NAMES },
+  gravity: { key: 'gravity', type: 'vector', min: -5, max: 5 },
+  adaptive_quality: { key: 'adaptiveQuality', type: 'boolean' },
+  worker: { key: 'worker', type: 'boolean' },
+  renderer: { key: 'renderer', type: 'enum', values: RENDERERS },
+  overlay_collisions: { key: 'overlayCollisions', type: 'boolean' },
+  title_letters: { key: 'titleLetters', type: 'boolean' },
+  tilt: { key: 'tilt', type: 'boolean' },
+  shapes: { key: 'shapes', type: 'list', values: SHAPES },
+  palette: { key: 'palette', type: 'palette' },
+  size: { key: 'size', type: 'range', min: 1, max: 200 },
+  restitution: { key: 'restitution', type: 'number', min: 0, max: 1 },
+  seed: { key: 'seed', type: 'seed' },
+  fixed_timestep: { key: 'fixedTimestep', type: 'boolean' }
+};
+
+/**
+ * Get the default configuration for the current device
+ * @returns {Object}
+ */
+export function getDefaultConfig() {
+  const touch = isTouchDevice();
+
+  return {
+    particleCount: touch ? 15 : 50,
+    targetFPS: touch ? 30 : 60,
+    interactionRadius: touch ? 150 : 250,
+    forceMagnitude: 0.0005,
+    // Named behavior of the scene (see physics-presets.js), its gravity and shapes win over the ones below
+    preset: 'classic',
+    gravity: { x: 0, y: 0.3 },
+    // Upper limit of decoration particles, the oldest are removed first
+    maxParticles: touch ? 30 : 100,
+    // 'attract' pulls particles toward the pointer, 'repel' pushes them away
+    forceMode: 'attract',
+    // Let the quality governor adjust particles and frame rate at runtime
+    adaptiveQuality: true,
+    // Lower limits the governor may reduce the scene to
+    minParticles: 5,
+    minFPS: 30,
+    // Run the engine and drawing in a Web Worker where OffscreenCanvas is available
+    worker: false,
+    // 'sprite' draws cached images of the shapes, 'path' builds every shape on every frame
+    renderer: 'sprite',
+    // Mirror the elements marked `data-physics-obstacle` as static bodies
+    overlayCollisions: true,
+    // Turn the letters of the site title into bodies that spring back to spell it
+    titleLetters: false,
+    // Offer a button that lets the device orientation drive gravity on phones and tablets
+    tilt: true,
+    // Particle appearance
+    shapes: [...SHAPES],
+    size: { min: 15, max: 35 },
+    restitution: 0.6,
+    // Colors {light, dark} instead of the theme's `--physics-color-N`, a list of colors is a gradient
+    palette: { light: null, dark: null },
+    // Seed of the random layout, null for a different scene on every load
+    seed: null,
+    // Step the engine in constant increments, so that a seed always plays out the same way
+    fixedTimestep: false
+  };
+}
+
+/**
+ * Turn a configuration back into options by their name in _config.yml, e.g. to copy tuned values
+ * @param {Object} config - Scene configuration
+ * @returns {Object}
+ */
+export function toConfigOptions(config) {
+  return Object.fromEntries(
+    Object.entries(SCHEMA)
+      .filter(([, rule]) => config[rule.key] !== undefined && config[rule.key] !== null)
+      .map(([name, rule]) => [name, config[rule.key]])
+  );
+}
+
+/**
+ * Read the configuration of a canvas, invalid values fall back to the defaults
+ * @param {HTMLCanvasElement} canvas - Canvas with an optional `data-config` JSON attribute
+ * @returns {Object}
+ */
+export function readPhysicsConfig(canvas) {
+  const config = getDefaultConfig();
+  const raw = parseConfigAttribute(canvas.dataset.config);
+
+  if (!raw) {
+    return config;
+  }
+
+  // Options under `touch` override the others on touch devices
+  const { touch, ...options } = raw;
+  applyOptions(config, options, '');
+
+  if (touch !== undefined) {
+    if (isPlainObject(touch)) {
+      if (isTouchDevice()) {
+        applyOptions(config, touch, 'touch.');
+      }
+    } else {
+      warn('touch', 'must be a map of options', touch);
+    }
+  }
+
+  if (config.minParticles > config.maxParticles) {
+    warn('min_particles', `must not exceed max_particles (${config.maxParticles})`, config.minParticles);
+    config.minParticles = Math.min(getDefaultConfig().minParticles, config.maxParticles);
+  }
+
+  return config;
+}
+
+/**
+ * @param {string|undefined} value - Raw attribute value
+ * @returns {Object|null}
+ */
+function parseConfigAttribute(value) {
+  if (!value || value === 'null') {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    if (isPlainObject(parsed)) {
+      return parsed;
+    }
+    logger.warn('Physics config: expected a map of options, using the defaults');
+  } catch (error) {
+    logger.warn('Physics config: could not parse the options, using the defaults', error);
+  }
+  return null;
+}
+
+/**
+ * Validate options and copy the valid ones into the config
+ * @param {Object} config - Config to update
+ * @param {Object} options - Options by their name in _config.yml
+ * @param {string} prefix - Prefix of the option names in warnings
+ */
+function applyOptions(config, options, prefix) {
+  Object.entries(options).forEach(([name, value]) => {
+    const rule = SCHEMA[name];
+
+    if (!rule) {
+      logger.warn(`Physics config: unknown option "${prefix}${name}" is ignored`);
+      return;
+    }
+
+    // Empty values in _config.yml mean "use the default"
+    if (value === null) {
+      return;
+    }
+
+    const result = validate(rule, value);
+
+    if (result.error) {
+      warn(`${prefix}${name}`, result.error, value);
+    } else {
+      config[rule.key] = result.value;
+    }
+  });
+}
+
+/**
+ * @param {Object} rule - Entry of the schema
+ * @param {*} value - Value to check
+ * @returns {Object} `{ value }` when valid, otherwise `{ error }`
+ */
+function validate(rule, value) {
+  const between = `between ${rule.min} and ${rule.max}`;
+
+  switch (rule.type) {
+    case 'integer':
+      return Number.isInteger(value) && inRange(value, rule)
+        ? { value }
+        : { error: `must be a whole number ${between}` };
+
+    case 'number':
+      return isFiniteNumber(value) && inRange(value, rule)
+        ? { value }
+        : { error: `must be a number ${between}` };
+
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+
+    case 'enum':
+      return rule.values.includes(value)
+        ? { value }
+        : { error: `must be one of ${rule.values.join(', ')}` };
+
+    case 'list':
+      return Array.isArray(value) && value.length > 0 && value.every((item) => rule.values.includes(item))
+        ? { value: [...new Set(value)] }
+        : { error: `must be a non-empty list of ${rule.values.join(', ')}` };
+
+    case 'vector':
+      return isPlainObject(value) &&
+        ['x', 'y'].every((axis) => isFiniteNumber(value[axis]) && inRange(value[axis], rule))
+        ? { value: { x: value.x, y: value.y } }
+        : { error: `must have numeric x and y ${between}` };
+
+    case 'range':
+      return isPlainObject(value) &&
+        isFiniteNumber(value.min) &&
+        isFiniteNumber(value.max) &&
+        inRange(value.min, rule) &&
+        inRange(value.max, rule) &&
+        value.min <= value.max
+        ? { value: { min: value.min, max: value.max } }
+        : { error: `must have numeric min and max ${between}, with min <= max` };
+
+    case 'palette':
+      if (isPalette(value)) {
+        return { value: { light: value, dark: value } };
+      }
+      return isPlainObject(value) &&
+        Object.values(value).every((colors) => colors === null || isPalette(colors))
+        ? { value: { light: null, dark: null, ...value } }
+        : { error: 'must be a list of colors or gradients, or a map of such lists by theme, e.g. light and dark' };
+
+    case 'seed': {
+      const seed = typeof value === 'number' || typeof value === 'string' ? parseSeed(value) : null;
+      return seed !== null ? { value: seed } : { error: 'must be a whole number or a non-empty text' };
+    }
+  }
+
+  return { error: 'has an unsupported type' };
+}
+
+function warn(name, error, value) {
+  logger.warn(`Physics config: "${name}" ${error}, got ${JSON.stringify(value)}. Using the default.`);
+}
+
+function inRange(value, rule) {
+  return value >= rule.min && value <= rule.max;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check for a non-empty list of colors, where a list of two or more colors is a gradient
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPalette(value) {
+  const isColor = (item) => typeof item === 'string' && item.trim() !== '';
+
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => isColor(item) || (Array.isArray(item) && item.length > 1 && item.every(isColor)))
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
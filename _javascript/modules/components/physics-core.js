@@ -0,0 +1,163 @@
+/**
+ * Physics Core Module
+ * DOM-free simulation helpers, shared by the main thread and the physics worker
+ */
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html) or by the physics worker
+const Matter = self.Matter;
+
+const WALL_THICKNESS = 50;
+
+/**
+ * Create invisible boundaries (walls) around the canvas
+ * @param {Matter.World} world - Matter.js world
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Array} The wall bodies
+ */
+export function createBoundaries(world, width, height) {
+  const thickness = WALL_THICKNESS;
+  const options = {
+    isStatic: true,
+    label: 'boundary',
+    render: {
+      visible: false
+    }
+  };
+
+  const boundaries = [
+    // Top
+    Matter.Bodies.rectangle(width / 2, -thickness / 2, width, thickness, options),
+    // Bottom
+    Matter.Bodies.rectangle(width / 2, height + thickness / 2, width, thickness, options),
+    // Left
+    Matter.Bodies.rectangle(-thickness / 2, height / 2, thickness, height, options),
+    // Right
+    Matter.Bodies.rectangle(width + thickness / 2, height / 2, thickness, height, options)
+  ];
+
+  Matter.World.add(world, boundaries);
+
+  return boundaries;
+}
+
+/**
+ * Create static bodies that mirror rectangles of the page, e.g. the overlay title and buttons
+ * @param {Matter.World} world - Matter.js world
+ * @param {Array} rects - Rectangles {x, y, width, height, radius} in canvas coordinates
+ * @returns {Array} The obstacle bodies
+ */
+export function createObstacles(world, rects) {
+  const obstacles = rects.map((rect) =>
+    Matter.Bodies.rectangle(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width, rect.height, {
+      isStatic: true,
+      label: 'obstacle',
+      // A chamfer as large as half the height would collapse the side edges
+      chamfer: rect.radius > 1 ? { radius: Math.min(rect.radius, rect.height / 2 - 1) } : null,
+      render: {
+        visible: false
+      }
+    })
+  );
+
+  Matter.World.add(world, obstacles);
+
+  return obstacles;
+}
+
+/**
+ * Grab and throw bodies with Matter's mouse constraint, driven by canvas positions
+ * instead of Matter's own mouse listeners, which cancel scrolling
+ * @param {Matter.Engine} engine - Matter.js engine
+ * @returns {Object} Drag handlers {start, move, end, isDragging}, taking positions {x, y}
+ */
+export function createBodyDrag(engine) {
+  const mouse = {
+    position: { x: 0, y: 0 },
+    button: -1,
+    sourceEvents: { mousemove: null, mousedown: null, mouseup: null, mousewheel: null }
+  };
+
+  const mouseConstraint = Matter.MouseConstraint.create(engine, {
+    mouse,
+    constraint: {
+      stiffness: 0.2,
+      render: {
+        visible: false
+      }
+    }
+  });
+
+  Matter.World.add(engine.world, mouseConstraint);
+
+  // The constraint holds on to `mouse.position`, so it is updated in place
+  const moveTo = ({ x, y }) => {
+    mouse.position.x = x;
+    mouse.position.y = y;
+  };
+
+  return {
+    start(position) {
+      moveTo(position);
+      mouse.button = 0;
+    },
+    move: moveTo,
+    end(position) {
+      moveTo(position);
+      mouse.button = -1;
+    },
+    isDragging: () => Boolean(mouseConstraint.body)
+  };
+}
+
+/**
+ * Scale the positions of bodies, e.g. after the canvas was resized
+ * @param {Array} bodies - Matter.js bodies
+ * @param {number} scaleX - Horizontal factor
+ * @param {number} scaleY - Vertical factor
+ */
+export function scaleBodyPositions(bodies, scaleX, scaleY) {
+  bodies.forEach((body) => {
+    Matter.Body.setPosition(body, {
+      x: body.position.x * scaleX,
+      y: body.position.y * scaleY
+    });
+  });
+}
+
+/**
+ * Attract particles toward every pointer, or repel them from it
+ * @param {Array} particles - Matter.js bodies
+ * @param {Iterable<Object>} pointers - Pointers {position, type, pressure}
+ * @param {Object} config - Scene config {forceMode, forceMagnitude, interactionRadius}
+ */
+export function applyPointerForces(particles, pointers, config) {
+  const direction = config.forceMode === 'repel' ? -1 : 1;
+
+  for (const pointer of pointers) {
+    const magnitude = config.forceMagnitude * getPointerStrength(pointer) * direction;
+
+    particles.forEach((particle) => {
+      const dx = pointer.position.x - particle.position.x;
+      const dy = pointer.position.y - particle.position.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance < config.interactionRadius && distance > 0) {
+        const force = {
+          x: (dx / distance) * magnitude,
+          y: (dy / distance) * magnitude
+        };
+        Matter.Body.applyForce(particle, particle.position, force);
+      }
+    });
+  }
+}
+
+/**
+ * Scale of the force field of a pointer, pen pressure makes it stronger
+ * @param {Object} pointer - Pointer {type, pressure}
+ * @returns {number}
+ */
+function getPointerStrength(pointer) {
+  return pointer.type === 'pen' ? 0.5 + pointer.pressure : 1;
+}
@@ -0,0 +1,171 @@
+/**
+ * Physics Debug Module
+ * Overlay with live engine stats and sliders for the tuning values of a physics scene,
+ * turned on by `?physics-debug` or Alt+Shift+D (see physics-engine.js).
+ * Its texts are the `data-debug-<name>` attributes of the scene canvas, from `interactive_home.debug` in _data/locales.
+ */
+
+import { toConfigOptions } from './physics-config';
+import { checkDeterminism } from './scene-simulation';
+import { getThemeColors } from './particle-system';
+import { logger } from './physics-logger';
+
+const UPDATE_INTERVAL = 500;
+
+// `label` is the name of the text of the stat
+const STATS = [
+  { key: 'fps', label: 'fps', digits: 0 },
+  { key: 'stepTime', label: 'step-time', digits: 2 },
+  { key: 'bodies', label: 'bodies', digits: 0 },
+  { key: 'sleeping', label: 'sleeping', digits: 0 },
+  { key: 'fields', label: 'fields', digits: 0 },
+  { key: 'pairs', label: 'pairs', digits: 0 }
+];
+
+// Sliders, by the option names of _config.yml. `axis` picks a component of a vector option.
+const TUNABLES = [
+  { name: 'force_magnitude', key: 'forceMagnitude', min: 0, max: 0.005, step: 0.0001 },
+  { name: 'interaction_radius', key: 'interactionRadius', min: 0, max: 600, step: 10 },
+  { name: 'target_fps', key: 'targetFPS', min: 15, max: 120, step: 1 },
+  { name: 'gravity.x', key: 'gravity', axis: 'x', min: -2, max: 2, step: 0.05 },
+  { name: 'gravity.y', key: 'gravity', axis: 'y', min: -2, max: 2, step: 0.05 }
+];
+
+export class PhysicsDebugOverlay {
+  #scene;
+  #panel;
+  #values = new Map();
+  #timer;
+
+  /**
+   * @param {PhysicsScene} scene - Scene to inspect (see physics-scene.js)
+   * @param {HTMLElement} container - Element the overlay is added to
+   */
+  constructor(scene, container = document.body) {
+    this.#scene = scene;
+    this.#panel = document.createElement('aside');
+    this.#panel.className = 'physics-debug';
+    this.#panel.setAttribute('aria-label', this.#getText('title'));
+
+    this.#panel.appendChild(this.#createStats());
+    TUNABLES.forEach((tunable) => this.#panel.appendChild(this.#createSlider(tunable)));
+    this.#panel.appendChild(this.#createCopyButton());
+    this.#panel.appendChild(this.#createCheckButton());
+
+    container.appendChild(this.#panel);
+
+    this.#update();
+    this.#timer = setInterval(() => this.#update(), UPDATE_INTERVAL);
+  }
+
+  destroy() {
+    clearInterval(this.#timer);
+    this.#panel.remove();
+  }
+
+  #createStats() {
+    const list = document.createElement('dl');
+
+    STATS.forEach(({ key, label }) => {
+      const term = document.createElement('dt');
+      const value = document.createElement('dd');
+
+      term.textContent = this.#getText(label);
+      this.#values.set(key, value);
+      list.append(term, value);
+    });
+
+    return list;
+  }
+
+  #update() {
+    const stats = this.#scene.getDebugStats();
+
+    STATS.forEach(({ key, digits }) => {
+      this.#values.get(key).textContent = stats[key].toFixed(digits);
+    });
+  }
+
+  /**
+   * @param {Object} tunable - Entry of `TUNABLES`
+   * @returns {HTMLElement}
+   */
+  #createSlider({ name, key, axis, min, max, step }) {
+    const label = document.createElement('label');
+    const title = document.createElement('span');
+    const input = document.createElement('input');
+    const output = document.createElement('output');
+    const { config } = this.#scene;
+
+    title.textContent = name;
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = axis ? config[key][axis] : config[key];
+    output.textContent = input.value;
+
+    input.addEventListener('input', () => {
+      const value = Number(input.value);
+
+      output.textContent = input.value;
+      this.#scene.setConfig({ [key]: axis ? { ...this.#scene.config[key], [axis]: value } : value });
+    });
+
+    label.append(title, input, output);
+    return label;
+  }
+
+  #createCopyButton() {
+    const button = document.createElement('button');
+
+    button.type = 'button';
+    button.textContent = this.#getText('copy');
+    button.addEventListener('click', () => {
+      const json = JSON.stringify(toConfigOptions(this.#scene.config), null, 2);
+
+      navigator.clipboard
+        .writeText(json)
+        .then(() => {
+          button.textContent = this.#getText('copied');
+          setTimeout(() => {
+            button.textContent = this.#getText('copy');
+          }, 2000);
+        })
+        .catch((error) => logger.warn('Physics: could not copy the config', error));
+    });
+
+    return button;
+  }
+
+  /**
+   * Button that runs the scene twice from its seed in fixed steps, to see whether it plays out the same way
+   * @returns {HTMLElement}
+   */
+  #createCheckButton() {
+    const button = document.createElement('button');
+    const { config } = this.#scene;
+
+    button.type = 'button';
+    button.textContent = this.#getText('check');
+    button.addEventListener('click', () => {
+      const { width, height } = this.#scene.size;
+      const result = checkDeterminism(config, { width, height, colors: getThemeColors(config.palette) });
+
+      logger.info('Physics determinism:', result);
+      button.textContent = result.reproducible
+        ? this.#getText('reproducible').replace(':STEPS', result.steps)
+        : this.#getText('mismatches').replace(':MISMATCHES', result.mismatches).replace(':BODIES', result.bodies);
+    });
+
+    return button;
+  }
+
+  /**
+   * @param {string} name - Key of the text in `interactive_home.debug`
+   * @returns {string} The localized text, or the name when the page lacks it
+   */
+  #getText(name) {
+    return this.#scene.canvas.getAttribute(`data-debug-${name}`) || name;
+  }
+}
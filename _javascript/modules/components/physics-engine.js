@@ -1,364 +1,391 @@
 /**
  * Physics Engine Module
- * Manages Matter.js physics simulation and particle rendering
+ * Mounts the physics scene of the interactive home and wires its controls
  */
 
-// Matter.js is loaded via CDN (see _includes/js-selector.html)
-const Matter = window.Matter;
-import { createParticles, getThemeColors } from './particle-system';
-import { initMouseTracker, getMousePosition, isTouchDevice } from './mouse-tracker';
-
-// Configuration
-const CONFIG = {
-  particleCount: isTouchDevice() ? 15 : 50,
-  targetFPS: isTouchDevice() ? 30 : 60,
-  interactionRadius: isTouchDevice() ? 150 : 250,
-  forceMagnitude: 0.0005,
-  gravity: { x: 0, y: 0.3 }
-};
-
-// Module state
-let engine, world, canvas, ctx, particles;
-let animationId = null;
-let isPaused = false;
+import { createPhysicsScene } from './physics-scene';
+import { FORCE_MODES } from './physics-config';
+import { PRESET_NAMES, getPreset, getNextPreset } from './physics-presets';
+import { TiltGravity } from './tilt-gravity';
+import { PhysicsDebugOverlay } from './physics-debug';
+import { exportImage, recordClip, recordLoop, downloadBlob, supportsVideoExport } from './scene-export';
+import { logger, setVerboseLogging } from './physics-logger';
+
+// Session storage key of the bodies saved when leaving the page
+const STATE_KEY = 'physics-state';
+
+// URL parameter that opens the debug overlay
+const DEBUG_PARAM = 'physics-debug';
 
 /**
- * Initialize the physics engine
+ * Initialize the physics scene of the interactive home
+ * @returns {PhysicsScene|null} The scene controller (see physics-scene.js)
  */
 export function initPhysicsEngine() {
-  // Check for reduced motion preference
-  if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-    console.log('Reduced motion preferred - skipping physics');
-    return;
-  }
-
-  // Get canvas element
-  canvas = document.getElementById('physics-canvas');
-  if (!canvas) {
-    console.error('Canvas element not found');
-    return;
-  }
+  const canvas = document.getElementById('physics-canvas');
+  const debug = new URLSearchParams(window.location.search).has(DEBUG_PARAM);
+
+  // Progress messages only show while debugging
+  setVerboseLogging(debug);
+
+  const scene = createPhysicsScene(canvas, {
+    obstacles: canvas && canvas.parentElement,
+    title: document.querySelector('.site-title-interactive'),
+    preview: document.getElementById('post-preview'),
+    postLinks: document.getElementById('physics-posts'),
+    paused: localStorage.getItem('physics-paused') === 'true'
+  });
 
-  // Set up canvas context
-  ctx = canvas.getContext('2d');
-  if (!ctx) {
-    console.error('Could not get canvas context');
-    return;
+  if (!scene) return null;
+
+  // The controls are hidden, the preset still sets the composition
+  if (scene.still) {
+    applySavedPreset(scene);
+  } else {
+    setupPauseToggle(scene);
+    setupForceToggle(scene);
+    setupPresetToggle(scene);
+    setupTiltToggle(scene);
+    setupExportMenu(scene);
   }
 
-  // Initialize Matter.js
-  engine = Matter.Engine.create();
-  world = engine.world;
-
-  // Configure gravity
-  engine.gravity.x = CONFIG.gravity.x;
-  engine.gravity.y = CONFIG.gravity.y;
+  setupStatePersistence(scene);
+  setupDebugOverlay(scene, debug);
 
-  // Set canvas size
-  resizeCanvas();
-
-  // Create boundaries (invisible walls)
-  createBoundaries();
-
-  // Create particles
-  particles = createParticles(world, canvas.width, canvas.height, CONFIG.particleCount);
+  return scene;
+}
 
-  // Initialize mouse tracking
-  initMouseTracker(canvas);
+/**
+ * Save the bodies for the session when leaving the page or pausing, and restore the saved ones.
+ * Call this after the preset is set, as switching the preset replaces the particles.
+ * @param {PhysicsScene} scene
+ */
+function setupStatePersistence(scene) {
+  const saved = sessionStorage.getItem(STATE_KEY);
+
+  if (saved) {
+    try {
+      scene.restoreState(JSON.parse(saved));
+    } catch (error) {
+      logger.warn('Physics: could not restore the saved scene', error);
+    }
+  }
 
-  // Set up event listeners
-  window.addEventListener('resize', resizeCanvas);
-  setupPauseToggle();
+  const save = () => {
+    const state = scene.getState();
+    if (!state) return;
 
-  // Start the simulation
-  startSimulation();
+    try {
+      sessionStorage.setItem(STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+      logger.warn('Physics: could not save the scene', error);
+    }
+  };
 
-  console.log('Physics engine initialized with', particles.length, 'particles');
+  window.addEventListener('pagehide', save);
+  scene.on('pause', save);
+  scene.on('destroy', () => window.removeEventListener('pagehide', save));
 }
 
 /**
- * Create invisible boundaries (walls) around the canvas
+ * Toggle the debug overlay with Alt+Shift+D
+ * @param {PhysicsScene} scene
+ * @param {boolean} open - Whether to open it right away
  */
-function createBoundaries() {
-  const thickness = 50;
-  const options = {
-    isStatic: true,
-    render: {
-      visible: false
+function setupDebugOverlay(scene, open) {
+  let overlay = null;
+
+  const toggle = () => {
+    if (overlay) {
+      overlay.destroy();
+      overlay = null;
+    } else {
+      overlay = new PhysicsDebugOverlay(scene);
     }
+    scene.setDebug(Boolean(overlay));
   };
 
-  const boundaries = [
-    // Top
-    Matter.Bodies.rectangle(canvas.width / 2, -thickness / 2, canvas.width, thickness, options),
-    // Bottom
-    Matter.Bodies.rectangle(canvas.width / 2, canvas.height + thickness / 2, canvas.width, thickness, options),
-    // Left
-    Matter.Bodies.rectangle(-thickness / 2, canvas.height / 2, thickness, canvas.height, options),
-    // Right
-    Matter.Bodies.rectangle(canvas.width + thickness / 2, canvas.height / 2, thickness, canvas.height, options)
-  ];
-
-  Matter.World.add(world, boundaries);
+  const handleKeydown = (e) => {
+    if (e.altKey && e.shiftKey && e.code === 'KeyD') {
+      e.preventDefault();
+      toggle();
+    }
+  };
+
+  if (open) {
+    toggle();
+  }
+  document.addEventListener('keydown', handleKeydown);
+
+  scene.on('destroy', () => {
+    document.removeEventListener('keydown', handleKeydown);
+    if (overlay) {
+      overlay.destroy();
+    }
+  });
 }
 
 /**
- * Resize canvas to fill viewport
+ * Set up the export menu. One export runs at a time, the button shows it is recording meanwhile.
+ * @param {PhysicsScene} scene
  */
-function resizeCanvas() {
-  if (!canvas) return;
+function setupExportMenu(scene) {
+  const toggleBtn = document.getElementById('physics-export-toggle');
+  const menu = document.getElementById('physics-export-menu');
+  if (!toggleBtn || !menu) return;
+
+  const exports = {
+    image: { run: exportImage, filename: 'physics-scene.png' },
+    clip: { run: recordClip, filename: 'physics-scene.webm' },
+    loop: { run: recordLoop, filename: 'physics-loop.webm' }
+  };
 
-  const oldWidth = canvas.width;
-  const oldHeight = canvas.height;
+  // Recording needs MediaRecorder and canvas streams
+  if (!supportsVideoExport()) {
+    menu.querySelectorAll('[data-export="clip"], [data-export="loop"]').forEach((item) => {
+      item.parentElement.remove();
+    });
+  }
+
+  const label = toggleBtn.getAttribute('aria-label');
+  let busy = false;
+
+  const setOpen = (open) => {
+    menu.classList.toggle('d-none', !open);
+    toggleBtn.setAttribute('aria-expanded', String(open));
+  };
+
+  const setBusy = (value) => {
+    busy = value;
+    toggleBtn.disabled = value;
+    toggleBtn.setAttribute('aria-label', value ? menu.dataset.recording : label);
+    toggleBtn.innerHTML = `<i class="fas ${value ? 'fa-circle-notch fa-spin' : 'fa-camera'}"></i>`;
+  };
 
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
+  const toggle = () => setOpen(menu.classList.contains('d-none'));
 
-  // If particles exist, scale their positions
-  if (particles && oldWidth > 0 && oldHeight > 0) {
-    const scaleX = canvas.width / oldWidth;
-    const scaleY = canvas.height / oldHeight;
+  const handleSelect = (e) => {
+    const item = e.target.closest('[data-export]');
+    const entry = item && exports[item.dataset.export];
+    if (!entry || busy) return;
 
-    particles.forEach((particle) => {
-      Matter.Body.setPosition(particle, {
-        x: particle.position.x * scaleX,
-        y: particle.position.y * scaleY
+    // The title and tagline are drawn in where they sit over the canvas
+    const texts = [...document.querySelectorAll('.site-title-interactive, .site-tagline')];
+
+    setOpen(false);
+    setBusy(true);
+
+    entry
+      .run(scene, texts)
+      .then((blob) => downloadBlob(blob, entry.filename))
+      .catch((error) => logger.error('Physics: could not export the scene', error))
+      .finally(() => {
+        setBusy(false);
+        toggleBtn.focus();
       });
-    });
-  }
+  };
 
-  // Remove old boundaries and create new ones
-  if (world) {
-    const bodiesToRemove = Matter.Composite.allBodies(world).filter((body) => body.isStatic);
-    Matter.World.remove(world, bodiesToRemove);
-    createBoundaries();
-  }
+  // Close when clicking elsewhere or pressing Escape
+  const handleDismiss = (e) => {
+    if (e.type === 'keydown' ? e.key === 'Escape' : !toggleBtn.parentElement.contains(e.target)) {
+      setOpen(false);
+    }
+  };
+
+  toggleBtn.addEventListener('click', toggle);
+  menu.addEventListener('click', handleSelect);
+  document.addEventListener('click', handleDismiss);
+  document.addEventListener('keydown', handleDismiss);
+
+  scene.on('destroy', () => {
+    toggleBtn.removeEventListener('click', toggle);
+    menu.removeEventListener('click', handleSelect);
+    document.removeEventListener('click', handleDismiss);
+    document.removeEventListener('keydown', handleDismiss);
+  });
 }
 
 /**
- * Set up pause/play toggle button
+ * Set up pause/play toggle button. Its label stays the same, `aria-pressed` tells whether it is paused.
+ * @param {PhysicsScene} scene
  */
-function setupPauseToggle() {
+function setupPauseToggle(scene) {
   const toggleBtn = document.getElementById('physics-toggle');
   if (!toggleBtn) return;
 
-  // Load saved preference
-  const savedState = localStorage.getItem('physics-paused');
-  if (savedState === 'true') {
-    pauseSimulation();
-  }
+  const update = () => {
+    toggleBtn.innerHTML = `<i class="fas ${scene.paused ? 'fa-play' : 'fa-pause'}"></i>`;
+    toggleBtn.setAttribute('aria-pressed', String(scene.paused));
+  };
 
-  toggleBtn.addEventListener('click', () => {
-    if (isPaused) {
-      resumeSimulation();
+  const toggle = () => {
+    if (scene.paused) {
+      scene.resume();
     } else {
-      pauseSimulation();
+      scene.pause();
     }
-  });
+  };
 
   // Keyboard shortcut (Space or P)
-  document.addEventListener('keydown', (e) => {
+  const handleKeydown = (e) => {
     if (e.code === 'Space' || e.code === 'KeyP') {
       // Only if not focused on input elements
       if (!['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName)) {
         e.preventDefault();
-        toggleBtn.click();
+        toggle();
       }
     }
-  });
-}
-
-/**
- * Start the physics simulation
- */
-function startSimulation() {
-  if (animationId) return; // Already running
-
-  let lastTime = 0;
-  const frameDelay = 1000 / CONFIG.targetFPS;
-
-  function animate(timestamp) {
-    animationId = requestAnimationFrame(animate);
-
-    // Throttle to target FPS
-    if (timestamp - lastTime < frameDelay) {
-      return;
-    }
-    lastTime = timestamp;
+  };
 
-    // Update physics
-    Matter.Engine.update(engine, 1000 / CONFIG.targetFPS);
+  update();
+  toggleBtn.addEventListener('click', toggle);
+  document.addEventListener('keydown', handleKeydown);
 
-    // Apply mouse force
-    applyMouseForce();
+  scene.on('pause', () => {
+    update();
+    localStorage.setItem('physics-paused', 'true');
+  });
 
-    // Render
-    render();
-  }
+  scene.on('resume', () => {
+    update();
+    localStorage.setItem('physics-paused', 'false');
+  });
 
-  animationId = requestAnimationFrame(animate);
+  scene.on('destroy', () => {
+    toggleBtn.removeEventListener('click', toggle);
+    document.removeEventListener('keydown', handleKeydown);
+  });
 }
 
 /**
- * Pause the simulation
+ * Set up attract/repel toggle button
+ * @param {PhysicsScene} scene
  */
-function pauseSimulation() {
-  isPaused = true;
-  if (animationId) {
-    cancelAnimationFrame(animationId);
-    animationId = null;
-  }
+function setupForceToggle(scene) {
+  const toggleBtn = document.getElementById('physics-force-toggle');
+  if (!toggleBtn) return;
 
-  const toggleBtn = document.getElementById('physics-toggle');
-  if (toggleBtn) {
-    toggleBtn.innerHTML = '<i class="fas fa-play"></i>';
+  // Load saved preference
+  const savedMode = localStorage.getItem('physics-force-mode');
+  if (FORCE_MODES.includes(savedMode)) {
+    scene.setForceMode(savedMode);
   }
+  updateForceToggle(toggleBtn, scene);
+
+  const toggle = () => {
+    scene.setForceMode(scene.config.forceMode === 'attract' ? 'repel' : 'attract');
+    localStorage.setItem('physics-force-mode', scene.config.forceMode);
+    updateForceToggle(toggleBtn, scene);
+  };
 
-  localStorage.setItem('physics-paused', 'true');
+  toggleBtn.addEventListener('click', toggle);
+  scene.on('destroy', () => toggleBtn.removeEventListener('click', toggle));
 }
 
 /**
- * Resume the simulation
+ * Reflect the current force mode on the toggle button
+ * @param {HTMLElement} toggleBtn
+ * @param {PhysicsScene} scene
  */
-function resumeSimulation() {
-  isPaused = false;
-  startSimulation();
-
-  const toggleBtn = document.getElementById('physics-toggle');
-  if (toggleBtn) {
-    toggleBtn.innerHTML = '<i class="fas fa-pause"></i>';
-  }
-
-  localStorage.setItem('physics-paused', 'false');
+function updateForceToggle(toggleBtn, scene) {
+  const isRepel = scene.config.forceMode === 'repel';
+  toggleBtn.innerHTML = `<i class="fas ${isRepel ? 'fa-explosion' : 'fa-magnet'}"></i>`;
+  toggleBtn.setAttribute('aria-pressed', String(isRepel));
 }
 
 /**
- * Apply force to particles based on mouse position
+ * Set up the button that cycles through the presets
+ * @param {PhysicsScene} scene
  */
-function applyMouseForce() {
-  const mouse = getMousePosition();
-  if (!mouse || !particles) return;
-
-  particles.forEach((particle) => {
-    const dx = mouse.x - particle.position.x;
-    const dy = mouse.y - particle.position.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    if (distance < CONFIG.interactionRadius && distance > 0) {
-      const force = {
-        x: (dx / distance) * CONFIG.forceMagnitude,
-        y: (dy / distance) * CONFIG.forceMagnitude
-      };
-      Matter.Body.applyForce(particle, particle.position, force);
-    }
-  });
+function setupPresetToggle(scene) {
+  const toggleBtn = document.getElementById('physics-preset-toggle');
+  if (!toggleBtn) return;
+
+  applySavedPreset(scene);
+  updatePresetToggle(toggleBtn, scene);
+
+  const toggle = () => {
+    scene.setPreset(getNextPreset(scene.config.preset));
+    localStorage.setItem('physics-preset', scene.config.preset);
+    updatePresetToggle(toggleBtn, scene);
+  };
+
+  toggleBtn.addEventListener('click', toggle);
+  scene.on('destroy', () => toggleBtn.removeEventListener('click', toggle));
 }
 
 /**
- * Render the particles on canvas
+ * Switch to the preset the visitor chose last time
+ * @param {PhysicsScene} scene
  */
-function render() {
-  if (!ctx || !canvas || !particles) return;
-
-  // Clear canvas
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-  // Get theme colors
-  const colors = getThemeColors();
-
-  // Draw each particle
-  particles.forEach((particle) => {
-    ctx.save();
-
-    // Translate to particle position
-    ctx.translate(particle.position.x, particle.position.y);
-    ctx.rotate(particle.angle);
-
-    // Set particle color
-    const color = particle.render.fillStyle || colors[0];
-    ctx.fillStyle = color;
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2;
-
-    // Draw based on shape type
-    if (particle.circleRadius) {
-      // Circle
-      ctx.beginPath();
-      ctx.arc(0, 0, particle.circleRadius, 0, Math.PI * 2);
-      ctx.fill();
-    } else if (particle.vertices) {
-      // Polygon (rectangle or triangle)
-      ctx.beginPath();
-      const vertices = particle.vertices;
-      ctx.moveTo(vertices[0].x - particle.position.x, vertices[0].y - particle.position.y);
-      for (let i = 1; i < vertices.length; i++) {
-        ctx.lineTo(vertices[i].x - particle.position.x, vertices[i].y - particle.position.y);
-      }
-      ctx.closePath();
-      ctx.fill();
-    }
-
-    ctx.restore();
-  });
-
-  // Optional: Draw mouse interaction radius (for debugging)
-  // drawMouseRadius();
+function applySavedPreset(scene) {
+  const savedPreset = localStorage.getItem('physics-preset');
+  if (PRESET_NAMES.includes(savedPreset) && savedPreset !== scene.config.preset) {
+    scene.setPreset(savedPreset);
+  }
 }
 
 /**
- * Draw mouse interaction radius (for debugging)
+ * Reflect the current preset on the toggle button, with the localized labels of its `data-*` attributes
+ * @param {HTMLElement} toggleBtn
+ * @param {PhysicsScene} scene
  */
-function drawMouseRadius() {
-  const mouse = getMousePosition();
-  if (!mouse || !ctx) return;
-
-  ctx.save();
-  ctx.strokeStyle = 'rgba(100, 150, 255, 0.3)';
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  ctx.arc(mouse.x, mouse.y, CONFIG.interactionRadius, 0, Math.PI * 2);
-  ctx.stroke();
-  ctx.restore();
+function updatePresetToggle(toggleBtn, scene) {
+  const name = scene.config.preset;
+  const next = getNextPreset(name);
+  const getLabel = (preset) => toggleBtn.getAttribute(`data-${preset}-label`) || preset;
+
+  toggleBtn.innerHTML = `<i class="fas ${getPreset(name).icon}"></i>`;
+  toggleBtn.title = getLabel(name);
+  toggleBtn.setAttribute(
+    'aria-label',
+    toggleBtn.dataset.label.replace(':PRESET', getLabel(name)).replace(':NEXT', getLabel(next))
+  );
 }
 
 /**
- * Update particle colors when theme changes
+ * Set up the button that lets the device orientation drive gravity.
+ * Touches scroll the page meanwhile, as the phone itself moves the particles.
+ * @param {PhysicsScene} scene
  */
-export function updateParticleColors() {
-  if (!particles) return;
+function setupTiltToggle(scene) {
+  const toggleBtn = document.getElementById('physics-tilt-toggle');
+  if (!toggleBtn || !scene.config.tilt || !TiltGravity.isSupported()) return;
 
-  const colors = getThemeColors();
+  const tilt = new TiltGravity((value) => scene.setTilt(value));
 
-  particles.forEach((particle, index) => {
-    particle.render.fillStyle = colors[index % colors.length];
-  });
-}
+  const update = () => {
+    toggleBtn.setAttribute('aria-pressed', String(tilt.active));
+  };
 
-// Listen for theme changes
-if (typeof MutationObserver !== 'undefined') {
-  const observer = new MutationObserver(() => {
-    updateParticleColors();
-  });
+  const toggle = () => {
+    if (tilt.active) {
+      tilt.stop();
+      scene.setTilt({ x: 0, y: 0 });
+      scene.setTouchInput(true);
+      update();
+      return;
+    }
+
+    // The permission prompt of iOS needs this click
+    TiltGravity.requestPermission().then((granted) => {
+      if (!granted) {
+        logger.warn('Physics: motion access was denied, tilt gravity stays off');
+        return;
+      }
 
-  const target = document.documentElement;
-  if (target) {
-    observer.observe(target, {
-      attributes: true,
-      attributeFilter: ['data-mode']
+      tilt.start();
+      scene.setTouchInput(false);
+      update();
     });
-  }
-}
+  };
 
-// Pause when tab is not visible (battery optimization)
-if (typeof document !== 'undefined') {
-  document.addEventListener('visibilitychange', () => {
-    if (document.hidden && !isPaused) {
-      pauseSimulation();
-    } else if (!document.hidden && isPaused) {
-      const savedState = localStorage.getItem('physics-paused');
-      if (savedState !== 'true') {
-        resumeSimulation();
-      }
-    }
+  toggleBtn.classList.remove('d-none');
+  update();
+  toggleBtn.addEventListener('click', toggle);
+
+  scene.on('destroy', () => {
+    tilt.stop();
+    toggleBtn.removeEventListener('click', toggle);
   });
 }
@@ -0,0 +1,36 @@
+/**
+ * Physics Logger Module
+ * Console output of the physics scenes. Progress messages stay silent unless debugging is on
+ * (see the debug overlay in physics-debug.js), warnings and errors always show.
+ */
+
+let verbose = false;
+
+/**
+ * @param {boolean} enabled - Whether progress messages are printed
+ */
+export function setVerboseLogging(enabled) {
+  verbose = enabled;
+}
+
+export const logger = {
+  log(...args) {
+    if (verbose) {
+      console.log(...args);
+    }
+  },
+
+  info(...args) {
+    if (verbose) {
+      console.info(...args);
+    }
+  },
+
+  warn(...args) {
+    console.warn(...args);
+  },
+
+  error(...args) {
+    console.error(...args);
+  }
+};
@@ -0,0 +1,185 @@
+/**
+ * Physics Presets Module
+ * Named behaviors of the physics scene. A preset sets the gravity, the forces on the particles,
+ * how particles respawn and which shapes they have. DOM-free, so the worker can apply them too.
+ */
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html) or by the physics worker
+const Matter = self.Matter;
+
+// Field strengths are accelerations in the units of `engine.gravity`, as Matter.js scales gravity
+const GRAVITY_SCALE = 0.001;
+
+/**
+ * Presets by name, their labels are in the locales (`interactive_home.presets`).
+ * Empty values fall back to the scene configuration.
+ *   `gravity` {x, y}, `frictionAir` of the particles,
+ *   `pointerForce` whether pointers attract or repel, `field` the force applied to every body,
+ *   `respawn` 'top' to drop particles that reached the floor again from the top,
+ *   `shapes` and `size` of new particles
+ */
+export const PRESETS = {
+  classic: {
+    icon: 'fa-shapes',
+    gravity: null,
+    frictionAir: 0.01,
+    pointerForce: true,
+    field: null,
+    respawn: null,
+    shapes: null,
+    size: null
+  },
+  'zero-g': {
+    icon: 'fa-user-astronaut',
+    gravity: { x: 0, y: 0 },
+    frictionAir: 0.002,
+    pointerForce: true,
+    field: null,
+    respawn: null,
+    shapes: null,
+    size: null
+  },
+  rain: {
+    icon: 'fa-cloud-rain',
+    gravity: { x: 0, y: 1 },
+    frictionAir: 0.02,
+    pointerForce: true,
+    field: null,
+    respawn: 'top',
+    shapes: ['circle'],
+    size: { min: 4, max: 9 }
+  },
+  orbit: {
+    icon: 'fa-atom',
+    gravity: { x: 0, y: 0 },
+    frictionAir: 0.01,
+    // The orbit follows the pointer instead
+    pointerForce: false,
+    field: 'orbit',
+    respawn: null,
+    shapes: ['circle'],
+    size: null
+  },
+  grid: {
+    icon: 'fa-border-all',
+    gravity: { x: 0, y: 0 },
+    frictionAir: 0.05,
+    pointerForce: true,
+    field: 'grid',
+    respawn: null,
+    shapes: ['rectangle'],
+    size: { min: 12, max: 18 }
+  },
+  vortex: {
+    icon: 'fa-hurricane',
+    gravity: { x: 0, y: 0 },
+    frictionAir: 0.01,
+    pointerForce: true,
+    field: 'vortex',
+    respawn: null,
+    shapes: null,
+    size: null
+  }
+};
+
+export const PRESET_NAMES = Object.keys(PRESETS);
+
+const GRID_SPACING = 90;
+
+/**
+ * @param {string} name - Preset name
+ * @returns {Object} The preset, or the classic one for unknown names
+ */
+export function getPreset(name) {
+  return PRESETS[name] || PRESETS.classic;
+}
+
+/**
+ * Get the name of the preset after a given one, wrapping around
+ * @param {string} name - Current preset name
+ * @returns {string}
+ */
+export function getNextPreset(name) {
+  const index = PRESET_NAMES.indexOf(name);
+  return PRESET_NAMES[(index + 1) % PRESET_NAMES.length];
+}
+
+/**
+ * Apply the field force of a preset to every body
+ * @param {Object} preset - Preset from `PRESETS`
+ * @param {Array} particles - Matter.js bodies
+ * @param {Array<Object>} pointers - Active pointers {isPrimary, position}
+ * @param {Object} bounds - Canvas size {width, height}
+ */
+export function applyPresetField(preset, particles, pointers, { width, height }) {
+  switch (preset.field) {
+    case 'orbit': {
+      const primary = pointers.find((pointer) => pointer.isPrimary) || pointers[0];
+      const center = primary ? primary.position : { x: width / 2, y: height / 2 };
+      applySwirl(particles, center, 0.5, 0.25);
+      break;
+    }
+
+    case 'vortex':
+      applySwirl(particles, { x: width / 2, y: height / 2 }, 0.2, 0.6);
+      break;
+
+    case 'grid':
+      particles.forEach((particle) => {
+        const { x, y } = particle.position;
+        const nodeX = Math.round(x / GRID_SPACING) * GRID_SPACING;
+        const nodeY = Math.round(y / GRID_SPACING) * GRID_SPACING;
+        const scale = particle.mass * GRAVITY_SCALE * 0.005;
+
+        Matter.Body.applyForce(particle, particle.position, {
+          x: (nodeX - x) * scale,
+          y: (nodeY - y) * scale
+        });
+      });
+      break;
+  }
+}
+
+/**
+ * Drop particles that reached the floor again from the top
+ * @param {Object} preset - Preset from `PRESETS`
+ * @param {Array} particles - Decoration particles, post bodies are never respawned
+ * @param {Object} bounds - Canvas size {width, height}
+ * @param {Function} random - Random number generator
+ */
+export function respawnParticles(preset, particles, { width, height }, random) {
+  if (preset.respawn !== 'top') return;
+
+  particles.forEach((particle) => {
+    const radius = (particle.bounds.max.y - particle.bounds.min.y) / 2;
+
+    if (particle.position.y > height - radius * 3) {
+      Matter.Body.setPosition(particle, { x: random() * width, y: radius });
+      Matter.Body.setVelocity(particle, { x: 0, y: 0 });
+    }
+  });
+}
+
+/**
+ * Pull bodies toward a center and push them around it
+ * @param {Array} particles - Matter.js bodies
+ * @param {Object} center - Position {x, y}
+ * @param {number} inward - Acceleration toward the center
+ * @param {number} around - Acceleration around the center, counterclockwise on screen
+ */
+function applySwirl(particles, center, inward, around) {
+  particles.forEach((particle) => {
+    const dx = center.x - particle.position.x;
+    const dy = center.y - particle.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance < 1) return;
+
+    const scale = (particle.mass * GRAVITY_SCALE) / distance;
+
+    Matter.Body.applyForce(particle, particle.position, {
+      x: (dx * inward + dy * around) * scale,
+      y: (dy * inward - dx * around) * scale
+    });
+  });
+}
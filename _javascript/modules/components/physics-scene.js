@@ -0,0 +1,539 @@
+/**
+ * Physics Scene Module
+ * Mounts an interactive physics scene on a canvas and returns a controller for it.
+ * Scenes keep all of their state, so several of them can live on one page and be torn down again.
+ */
+
+import { getThemeColors } from './particle-system';
+import { PointerTracker } from './mouse-tracker';
+import { PointerInteraction } from './pointer-interaction';
+import { watchObstacles, watchGlyphs } from './overlay-obstacles';
+import { readPhysicsConfig } from './physics-config';
+import { parseSeed } from './seeded-random';
+import { fetchRecentPosts, getHighlightColor } from './post-particles';
+import { PostPreview } from './post-preview';
+import { SceneRunner } from './scene-runner';
+import { WorkerScene, supportsWorkerScene } from './scene-worker-host';
+import { logger, setVerboseLogging } from './physics-logger';
+import { measureCanvas, watchCanvasSize, watchVisibility } from './canvas-scene';
+
+// Time the particles take to blend into the colors of a new theme (ms)
+const COLOR_FADE_DURATION = 600;
+
+/**
+ * Create a physics scene on a canvas.
+ * The canvas is configured through its data attributes (see _layouts/home-interactive.html).
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on, sized by CSS
+ * @param {Object} options - Optional settings:
+ *   `config` overrides the scene configuration (see physics-config.js),
+ *   `obstacles` is an element whose `data-physics-obstacle` descendants the particles bounce off,
+ *   `title` is the heading whose letters become bodies when `titleLetters` is enabled,
+ *   `preview` and `postLinks` are the preview card and link list of the post bodies (see post-preview.js),
+ *   `paused` shows a still frame instead of starting the animation,
+ *   `still` draws a settled frame once and never animates, the default under reduced motion
+ * @returns {PhysicsScene|null} The controller, or null when the scene can't run
+ */
+export function createPhysicsScene(canvas, options = {}) {
+  if (!canvas) {
+    logger.error('Canvas element not found');
+    return null;
+  }
+
+  const config = readPhysicsConfig(canvas);
+
+  // A `?seed=` in the URL reproduces a shared scene
+  const urlSeed = parseSeed(new URLSearchParams(window.location.search).get('seed') || '');
+  if (urlSeed !== null) {
+    config.seed = urlSeed;
+  }
+
+  Object.assign(config, options.config);
+
+  const still = Boolean(options.still) || window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  if (still) {
+    logger.log('Reduced motion or still scene - drawing a settled frame');
+    // The settled frame is simulated up front on the main thread
+    config.worker = false;
+  }
+
+  if (config.seed !== null) {
+    logger.log('Physics seed:', config.seed);
+  }
+
+  if (!useWorker(canvas, config) && !canvas.getContext('2d')) {
+    logger.error('Could not get canvas context');
+    return null;
+  }
+
+  return new PhysicsScene(canvas, config, { ...options, still });
+}
+
+/**
+ * Run the engine in a worker when enabled and supported, otherwise on the main thread
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} config - Scene configuration
+ * @returns {boolean}
+ */
+function useWorker(canvas, config) {
+  return config.worker && Boolean(canvas.dataset.workerSrc) && supportsWorkerScene(canvas);
+}
+
+export class PhysicsScene {
+  #scene;
+  #tracker;
+  #interaction;
+  #preview;
+  #listeners = new Map();
+  #cleanups = [];
+  #paused = false;
+  #still = false;
+  #hidden = false;
+  #destroyed = false;
+
+  // Glyphs of the title while its letters are bodies
+  #glyphs = null;
+
+  // Post bodies state
+  #postBodies = [];
+  #hoveredPost = null;
+  #focusedPost = null;
+
+  /**
+   * Use `createPhysicsScene()` rather than calling this directly
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Object} config - Complete scene configuration
+   * @param {Object} options - See `createPhysicsScene()`
+   */
+  constructor(canvas, config, options) {
+    this.canvas = canvas;
+    this.config = config;
+
+    const { width, height, pixelRatio } = measureCanvas(canvas);
+    const sceneOptions = {
+      width,
+      height,
+      pixelRatio,
+      colors: getThemeColors(config.palette),
+      highlightColor: getHighlightColor(),
+      onFrame: () => this.#handleFrame()
+    };
+
+    if (useWorker(canvas, config)) {
+      this.#scene = new WorkerScene(canvas, canvas.dataset.workerSrc, config, sceneOptions);
+    } else {
+      this.#scene = new SceneRunner(canvas.getContext('2d'), config, sceneOptions);
+    }
+
+    // Pointer tracking, drag, throw and tap to spawn
+    this.#tracker = new PointerTracker(canvas);
+    this.#scene.setPointers(this.#tracker.pointers);
+
+    this.#interaction = new PointerInteraction(canvas, {
+      findBodyAt: (point) => this.#scene.findBodyAt(point),
+      drag: this.#scene.drag,
+      onTap: (body, position) => this.#handleTap(body, position)
+    });
+
+    this.#preview = new PostPreview(options.preview || null, options.postLinks || null);
+
+    // Knock the letters of the title around, a still frame keeps the heading as it is
+    const title = config.titleLetters && !options.still ? options.title || null : null;
+    if (title) {
+      this.#initLetters(title);
+    }
+
+    // Let particles collide with the overlay title and buttons, or the buttons alone when the title has letters
+    if (config.overlayCollisions && options.obstacles) {
+      this.#cleanups.push(
+        watchObstacles(canvas, options.obstacles, (rects) => this.#scene.setObstacles(rects), title)
+      );
+    }
+
+    // Spawn the newest posts as clickable bodies
+    if (canvas.dataset.postsSrc) {
+      this.#initPosts();
+    }
+
+    this.#watchSize();
+    this.#watchTheme();
+    this.#watchVisibility();
+
+    // Start the simulation, or show a still frame when paused
+    if (options.still) {
+      this.#still = true;
+      this.#paused = true;
+      this.#scene.settle();
+    } else if (options.paused) {
+      this.#paused = true;
+      this.#scene.render();
+    } else {
+      this.#scene.start();
+    }
+
+    logger.log('Physics scene created', this.#scene instanceof WorkerScene ? 'in a worker' : 'on the main thread');
+  }
+
+  /**
+   * @returns {boolean} Whether the scene was paused with `pause()`
+   */
+  get paused() {
+    return this.#paused;
+  }
+
+  /**
+   * @returns {Object} Size {width, height} in CSS pixels and `pixelRatio` of the drawing
+   */
+  get size() {
+    return measureCanvas(this.canvas);
+  }
+
+  /**
+   * @returns {Array<Object>} Posts shown as bodies, entries of the search index
+   */
+  get posts() {
+    return this.#postBodies.map((body) => body.plugin.post);
+  }
+
+  /**
+   * @returns {Object|null} Glyphs of the title while its letters are bodies (see `measureGlyphs()`)
+   */
+  get glyphs() {
+    return this.#glyphs;
+  }
+
+  /**
+   * @returns {boolean} Whether the scene is a settled frame that never animates, e.g. under reduced motion
+   */
+  get still() {
+    return this.#still;
+  }
+
+  /**
+   * Subscribe to an event of the scene:
+   * `pause`, `resume`, `destroy`, `frame`, `preset` (the name), `posts` (the post bodies) and `tap` ({body, position})
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event details
+   * @returns {Function} Unsubscribes the handler
+   */
+  on(event, handler) {
+    if (!this.#listeners.has(event)) {
+      this.#listeners.set(event, new Set());
+    }
+    this.#listeners.get(event).add(handler);
+
+    return () => this.#listeners.get(event).delete(handler);
+  }
+
+  pause() {
+    if (this.#destroyed || this.#paused) return;
+
+    this.#paused = true;
+    this.#scene.stop();
+    this.#emit('pause');
+  }
+
+  resume() {
+    if (this.#destroyed || !this.#paused || this.#still) return;
+
+    this.#paused = false;
+
+    // A hidden page resumes once it is visible again
+    if (!this.#hidden) {
+      this.#scene.start();
+    }
+    this.#emit('resume');
+  }
+
+  /**
+   * @param {string} mode - 'attract' or 'repel'
+   */
+  setForceMode(mode) {
+    this.#scene.setForceMode(mode);
+  }
+
+  /**
+   * @param {string} name - Preset name (see physics-presets.js)
+   */
+  setPreset(name) {
+    this.#scene.setPreset(name);
+    if (this.#still) {
+      this.#scene.settle();
+    }
+    this.#emit('preset', name);
+  }
+
+  /**
+   * @param {Object} tilt - Tilt {x, y} of the gravity, each between -1 and 1
+   */
+  setTilt(tilt) {
+    this.#scene.setTilt(tilt);
+  }
+
+  /**
+   * Let touches drag, spawn and push particles, or leave them to the page for scrolling
+   * @param {boolean} enabled
+   */
+  setTouchInput(enabled) {
+    this.#tracker.ignoreTouch = !enabled;
+    this.#interaction.ignoreTouch = !enabled;
+  }
+
+  /**
+   * Read the theme colors again, e.g. after the theme changed
+   * @param {number} fadeDuration - Time to blend from the previous colors (ms), 0 to switch at once
+   */
+  updateColors(fadeDuration = 0) {
+    this.#scene.setColors(getThemeColors(this.config.palette), getHighlightColor(), fadeDuration);
+  }
+
+  /**
+   * Get the state and recent decisions of the quality governor, for debugging
+   * @returns {Object} State {enabled, static, fps, particleCount, history}
+   */
+  getQualityStats() {
+    return this.#scene.getQualityStats();
+  }
+
+  /**
+   * @returns {Promise<ImageBitmap>} The current frame, in device pixels
+   */
+  captureFrame() {
+    return this.#scene.captureFrame();
+  }
+
+  /**
+   * Get live numbers of the engine, for the debug overlay
+   * @returns {Object} Stats {fps, stepTime, bodies, sleeping, fields, pairs}
+   */
+  getDebugStats() {
+    return this.#scene.getDebugStats();
+  }
+
+  /**
+   * Change tuning values while the scene runs
+   * @param {Object} changes - Config values by key (see physics-config.js)
+   */
+  setConfig(changes) {
+    this.#scene.setConfig(changes);
+  }
+
+  /**
+   * Log the progress of the scene, and have a worker report its stats
+   * @param {boolean} enabled
+   */
+  setDebug(enabled) {
+    setVerboseLogging(enabled);
+
+    if (this.#scene instanceof WorkerScene) {
+      this.#scene.setDebug(enabled);
+    }
+  }
+
+  /**
+   * Get the bodies in plain data, e.g. to save them for the next visit
+   * @returns {Object|null} State for `restoreState()`, null while a worker hasn't reported one yet
+   */
+  getState() {
+    return this.#scene.getState();
+  }
+
+  /**
+   * Put the particles back where a saved state left them, scaled to the current size.
+   * Post bodies loaded afterwards take their saved place too.
+   * @param {Object} state - State from `getState()`
+   */
+  restoreState(state) {
+    this.#scene.restoreState(state);
+  }
+
+  /**
+   * Stop the scene and remove every listener, observer and body.
+   * A canvas that was handed to a worker is replaced by a fresh copy, see `this.canvas`.
+   */
+  destroy() {
+    if (this.#destroyed) return;
+
+    this.#destroyed = true;
+    this.#cleanups.forEach((cleanup) => cleanup());
+    this.#cleanups = [];
+
+    this.#interaction.destroy();
+    this.#tracker.destroy();
+    this.#preview.destroy();
+
+    const replacement = this.#scene.destroy();
+    if (replacement) {
+      this.canvas = replacement;
+    } else {
+      this.canvas.style.cursor = '';
+    }
+
+    this.#emit('destroy');
+    this.#listeners.clear();
+  }
+
+  #emit(event, detail) {
+    const handlers = this.#listeners.get(event);
+
+    if (handlers) {
+      handlers.forEach((handler) => handler(detail));
+    }
+  }
+
+  #watchSize() {
+    this.#cleanups.push(
+      watchCanvasSize(this.canvas, ({ width, height, pixelRatio }) => this.#scene.resize(width, height, pixelRatio))
+    );
+  }
+
+  /**
+   * Update particle colors when theme changes
+   */
+  #watchTheme() {
+    this.#cleanups.push(Theme.onChange(() => this.updateColors(this.#still ? 0 : COLOR_FADE_DURATION)));
+  }
+
+  /**
+   * Stop animating while the page is hidden (battery optimization)
+   */
+  #watchVisibility() {
+    this.#cleanups.push(
+      watchVisibility((hidden) => {
+        this.#hidden = hidden;
+
+        if (this.#paused) return;
+
+        if (hidden) {
+          this.#scene.stop();
+        } else {
+          this.#scene.start();
+        }
+      })
+    );
+  }
+
+  /**
+   * Mirror the glyphs of the title as letter bodies. The heading stays in the document for
+   * screen readers and search engines, with its text hidden under the letters and pointers
+   * passing through it to the canvas.
+   * @param {HTMLElement} title
+   */
+  #initLetters(title) {
+    title.classList.add('physics-letters');
+
+    this.#cleanups.push(
+      watchGlyphs(this.canvas, title, (glyphs) => {
+        this.#glyphs = glyphs;
+        this.#scene.setLetters(glyphs);
+      }),
+      () => title.classList.remove('physics-letters')
+    );
+  }
+
+  /**
+   * Load the newest posts and add them to the world as labeled bodies
+   */
+  #initPosts() {
+    const limit = parseInt(this.canvas.dataset.postsLimit, 10) || 8;
+
+    fetchRecentPosts(this.canvas.dataset.postsSrc, limit)
+      .then((posts) => {
+        if (posts.length === 0 || this.#destroyed) return;
+
+        this.#postBodies = this.#scene.addPosts(posts);
+
+        // Let the posts come to rest among the particles
+        if (this.#still) {
+          this.#scene.settle();
+        }
+
+        this.#preview.renderLinks(this.#postBodies, {
+          onFocus: (body) => {
+            this.#focusedPost = body;
+            this.#updatePostHighlight();
+          },
+          onBlur: (body) => {
+            if (this.#focusedPost === body) {
+              this.#focusedPost = null;
+              this.#updatePostHighlight();
+            }
+          }
+        });
+
+        this.#emit('posts', this.#postBodies);
+        logger.log('Added', this.#postBodies.length, 'post bodies');
+      })
+      .catch((error) => {
+        logger.error('Could not load posts for the physics scene:', error);
+      });
+  }
+
+  /**
+   * Open a tapped post, or spawn a particle when empty space is tapped
+   * @param {Matter.Body|null} body - Body under the pointer
+   * @param {Object} position - Position {x, y} in canvas coordinates
+   */
+  #handleTap(body, position) {
+    this.#emit('tap', { body, position });
+
+    if (body) {
+      if (body.plugin.post) {
+        window.location.href = body.plugin.post.url;
+      }
+      return;
+    }
+
+    if (!this.#still) {
+      this.#scene.spawn(position);
+    }
+  }
+
+  #handleFrame() {
+    // Frames the worker posted before it was terminated
+    if (this.#destroyed) return;
+
+    this.#updatePostHover();
+    this.#emit('frame');
+  }
+
+  /**
+   * Track the post body under the mouse and update the preview card
+   */
+  #updatePostHover() {
+    if (this.#postBodies.length === 0) return;
+
+    const mouse = this.#tracker.primaryPosition;
+    const body = mouse ? this.#scene.findBodyAt(mouse) : null;
+    const hovered = body && body.plugin.post ? body : null;
+
+    this.canvas.style.cursor = hovered ? 'pointer' : '';
+
+    if (hovered !== this.#hoveredPost) {
+      this.#hoveredPost = hovered;
+      this.#updatePostHighlight();
+    } else {
+      this.#updatePostPreview();
+    }
+  }
+
+  /**
+   * Draw a ring around the hovered and focused posts, and show the preview
+   */
+  #updatePostHighlight() {
+    this.#scene.setHighlight([this.#focusedPost, this.#hoveredPost].filter(Boolean));
+    this.#updatePostPreview();
+  }
+
+  /**
+   * Show the preview for the focused post, or else the hovered one
+   */
+  #updatePostPreview() {
+    const active = this.#focusedPost || this.#hoveredPost;
+
+    if (active) {
+      this.#preview.show(active, this.canvas);
+    } else {
+      this.#preview.hide();
+    }
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Pointer Interaction Module
+ * Turns pointer gestures on the canvas into drags and taps
+ */
+
+// A press that moves less than this and ends within the time limit is a tap
+const TAP_DISTANCE = 8;
+const TAP_DURATION = 300;
+
+export class PointerInteraction {
+  #canvas;
+  #handlers;
+  #listeners;
+  #pressStart = null;
+
+  /**
+   * Leave touches to the page, so that they always scroll
+   * @type {boolean}
+   */
+  ignoreTouch = false;
+
+  /**
+   * Initialize dragging and tapping on the canvas
+   * @param {HTMLCanvasElement} canvas - Canvas element
+   * @param {Object} handlers - Callbacks:
+   *   `findBodyAt(position)` returns the movable body under a point, or null,
+   *   `drag` receives the canvas positions of a drag through `start`, `move` and `end`,
+   *   `onTap(body, position)` is called on a tap, `body` is null on empty space
+   */
+  constructor(canvas, handlers) {
+    this.#canvas = canvas;
+    this.#handlers = handlers;
+    this.#listeners = {
+      pointerdown: this.#handlePointerDown,
+      pointermove: this.#handlePointerMove,
+      pointerup: this.#handlePointerUp,
+      pointercancel: this.#handlePointerCancel
+    };
+
+    Object.entries(this.#listeners).forEach(([type, listener]) => {
+      canvas.addEventListener(type, listener);
+    });
+
+    // Only a touch that starts on a body may block scrolling
+    canvas.addEventListener('touchstart', this.#handleTouchStart, { passive: false });
+  }
+
+  /**
+   * Remove the listeners and drop a drag in progress
+   */
+  destroy() {
+    Object.entries(this.#listeners).forEach(([type, listener]) => {
+      this.#canvas.removeEventListener(type, listener);
+    });
+    this.#canvas.removeEventListener('touchstart', this.#handleTouchStart, { passive: false });
+    this.#pressStart = null;
+  }
+
+  /**
+   * Get the canvas position of a pointer or touch
+   * @param {PointerEvent|Touch} event
+   * @returns {Object} Position {x, y}
+   */
+  #getCanvasPosition(event) {
+    const rect = this.#canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * @param {TouchEvent} event
+   */
+  #handleTouchStart = (event) => {
+    if (this.ignoreTouch) return;
+
+    const touch = event.changedTouches[0];
+
+    if (touch && this.#handlers.findBodyAt(this.#getCanvasPosition(touch))) {
+      event.preventDefault(); // Prevent scrolling while dragging a body
+    }
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerDown = (event) => {
+    if (!event.isPrimary || event.button !== 0) return;
+    if (this.ignoreTouch && event.pointerType === 'touch') return;
+
+    const position = this.#getCanvasPosition(event);
+    this.#pressStart = { ...position, time: event.timeStamp };
+
+    if (this.#handlers.findBodyAt(position)) {
+      this.#handlers.drag.start(position);
+      this.#canvas.setPointerCapture(event.pointerId);
+    }
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerMove = (event) => {
+    if (!event.isPrimary) return;
+
+    this.#handlers.drag.move(this.#getCanvasPosition(event));
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerUp = (event) => {
+    const pressStart = this.#pressStart;
+    if (!event.isPrimary || !pressStart) return;
+
+    const position = this.#getCanvasPosition(event);
+    const distance = Math.hypot(position.x - pressStart.x, position.y - pressStart.y);
+    const isTap = distance < TAP_DISTANCE && event.timeStamp - pressStart.time < TAP_DURATION;
+
+    this.#handlers.drag.end(position);
+    this.#pressStart = null;
+
+    if (isTap) {
+      this.#handlers.onTap(this.#handlers.findBodyAt(position), position);
+    }
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerCancel = (event) => {
+    if (!event.isPrimary) return;
+
+    this.#handlers.drag.end(this.#getCanvasPosition(event));
+    this.#pressStart = null;
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Post Particles Module
+ * Turns the newest posts from the search index into labeled physics bodies
+ */
+
+import { getTextColor } from './renderer/base-renderer';
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html) or by the physics worker
+const Matter = self.Matter;
+
+const LABEL_FONT = '600 14px sans-serif';
+const LABEL_HEIGHT = 34;
+const LABEL_PADDING = 18;
+const LABEL_MAX_WIDTH = 240;
+
+/**
+ * Fetch the newest posts from the search index
+ * @param {string} src - URL of `search.json`
+ * @param {number} limit - Maximum number of posts
+ * @returns {Promise<Array>} Posts sorted from newest to oldest
+ */
+export function fetchRecentPosts(src, limit) {
+  return fetch(src)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Failed to load posts: ${response.status}`);
+      }
+      return response.json();
+    })
+    .then((posts) =>
+      posts
+        .filter((post) => post && post.title && post.url)
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, limit)
+    );
+}
+
+/**
+ * Get the primary (first) category of a post
+ * @param {Object} post - Entry from the search index
+ * @returns {string}
+ */
+export function getPrimaryCategory(post) {
+  return (post.categories || '').split(',')[0].trim();
+}
+
+/**
+ * Pick a stable palette color for a category
+ * @param {string} category - Category name
+ * @param {Array<string>} colors - Theme palette
+ * @returns {string}
+ */
+export function getCategoryColor(category, colors) {
+  let hash = 0;
+  for (let i = 0; i < category.length; i++) {
+    hash = (hash * 31 + category.charCodeAt(i)) | 0;
+  }
+  return colors[Math.abs(hash) % colors.length];
+}
+
+/**
+ * Shorten a title so that it fits the label width
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} title
+ * @returns {string}
+ */
+function fitTitle(ctx, title) {
+  const maxTextWidth = LABEL_MAX_WIDTH - LABEL_PADDING * 2;
+
+  if (ctx.measureText(title).width <= maxTextWidth) {
+    return title;
+  }
+
+  let text = title;
+  while (text.length > 1 && ctx.measureText(`${text}…`).width > maxTextWidth) {
+    text = text.slice(0, -1);
+  }
+  return `${text.trimEnd()}…`;
+}
+
+/**
+ * Create one labeled body per post
+ * @param {Matter.World} world - Matter.js world
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context used to measure the labels
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Array} posts - Entries from the search index
+ * @param {Array<string>} colors - Theme palette
+ * @param {Function} random - Random number generator (see seeded-random.js)
+ * @returns {Array} Array of Matter.js bodies
+ */
+export function createPostParticles(world, ctx, width, height, posts, colors, random = Math.random) {
+  ctx.save();
+  ctx.font = LABEL_FONT;
+
+  const bodies = posts.map((post, index) => {
+    const text = fitTitle(ctx, post.title);
+    const bodyWidth = ctx.measureText(text).width + LABEL_PADDING * 2;
+
+    // Spread the posts across the upper part of the canvas
+    const x = (width / (posts.length + 1)) * (index + 1);
+    const y = height * 0.15 + (index % 3) * LABEL_HEIGHT * 1.5;
+
+    const body = Matter.Bodies.rectangle(x, y, bodyWidth, LABEL_HEIGHT, {
+      restitution: 0.4,
+      friction: 0.05,
+      frictionAir: 0.015,
+      chamfer: { radius: LABEL_HEIGHT / 2 },
+      label: 'post',
+      render: {
+        fillStyle: getCategoryColor(getPrimaryCategory(post), colors)
+      }
+    });
+
+    body.plugin.post = post;
+    body.plugin.text = text;
+    body.plugin.width = bodyWidth;
+
+    Matter.Body.setAngle(body, (random() - 0.5) * 0.4);
+
+    return body;
+  });
+
+  ctx.restore();
+
+  Matter.World.add(world, bodies);
+
+  return bodies;
+}
+
+/**
+ * Get the color of the ring around hovered or focused post bodies
+ * @returns {string}
+ */
+export function getHighlightColor() {
+  return getComputedStyle(document.documentElement).getPropertyValue('--heading-color').trim();
+}
+
+/**
+ * Draw the title of a post body, and a ring when it is highlighted
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context already translated and rotated to the body
+ * @param {Matter.Body} body - Post body
+ * @param {string|null} highlightColor - Ring color when the body is hovered or focused
+ * @param {string|Array<string>} fill - Fill of the body under the title, which is drawn in black or white to contrast with it
+ */
+export function drawPostLabel(ctx, body, highlightColor, fill = body.render.fillStyle) {
+  if (highlightColor) {
+    drawPostHighlight(ctx, body, highlightColor);
+  }
+
+  ctx.font = LABEL_FONT;
+  ctx.fillStyle = getTextColor(ctx, fill);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(body.plugin.text, 0, 1);
+}
+
+/**
+ * Draw the ring around a hovered or focused post body
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context already translated and rotated to the body
+ * @param {Matter.Body} body - Post body
+ * @param {string} color - Ring color
+ */
+export function drawPostHighlight(ctx, body, color) {
+  const w = body.plugin.width;
+
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = color;
+  ctx.beginPath();
+  ctx.roundRect(-w / 2 - 3, -LABEL_HEIGHT / 2 - 3, w + 6, LABEL_HEIGHT + 6, LABEL_HEIGHT / 2 + 3);
+  ctx.stroke();
+}
@@ -0,0 +1,133 @@
+/**
+ * Post Preview Module
+ * Preview card and keyboard-accessible links for the post bodies
+ */
+
+import { listen } from './canvas-scene';
+import { getPrimaryCategory } from './post-particles';
+
+const HIDDEN = 'd-none';
+const EXCERPT_LENGTH = 140;
+const CARD_OFFSET = 24;
+
+export class PostPreview {
+  #cleanups = [];
+
+  /**
+   * @param {HTMLElement|null} card - Element that displays the preview
+   * @param {HTMLElement|null} links - List of the focusable post links, rendered by the server so that it works without JS
+   */
+  constructor(card, links) {
+    this.$card = card;
+    this.$links = links;
+  }
+
+  /**
+   * Connect the link of each post body, adding one to the list for a post it lacks
+   * @param {Array} bodies - Post bodies
+   * @param {Object} handlers - Callbacks `onFocus(body)` and `onBlur(body)`
+   */
+  renderLinks(bodies, { onFocus, onBlur }) {
+    if (!this.$links) return;
+
+    const links = new Map();
+    this.$links.querySelectorAll('a[href]').forEach((link) => links.set(link.href, link));
+
+    bodies.forEach((body) => {
+      const { post } = body.plugin;
+      let link = links.get(new URL(post.url, document.baseURI).href);
+
+      if (!link) {
+        const item = document.createElement('li');
+
+        link = document.createElement('a');
+        link.href = post.url;
+        link.textContent = post.title;
+        item.appendChild(link);
+        this.$links.appendChild(item);
+        this.#cleanups.push(() => item.remove());
+      }
+
+      this.#cleanups.push(
+        listen(link, 'focus', () => onFocus(body)),
+        listen(link, 'blur', () => onBlur(body))
+      );
+    });
+  }
+
+  /**
+   * Show the preview card next to a post body
+   * @param {Matter.Body} body - Post body
+   * @param {HTMLCanvasElement} canvas - Canvas the body is drawn on
+   */
+  show(body, canvas) {
+    const $card = this.$card;
+    if (!$card) return;
+
+    const { post } = body.plugin;
+
+    if ($card.dataset.url !== post.url) {
+      this.#fillCard(post);
+    }
+
+    $card.classList.remove(HIDDEN);
+
+    // Keep the card inside the canvas, preferring the space below the body
+    const cardWidth = $card.offsetWidth;
+    const cardHeight = $card.offsetHeight;
+    const maxX = canvas.clientWidth - cardWidth - CARD_OFFSET;
+    const maxY = canvas.clientHeight - cardHeight - CARD_OFFSET;
+
+    let x = body.position.x - cardWidth / 2;
+    let y = body.position.y + CARD_OFFSET;
+
+    if (y > maxY) {
+      y = body.position.y - cardHeight - CARD_OFFSET;
+    }
+
+    x = Math.min(Math.max(x, CARD_OFFSET), maxX);
+    y = Math.min(Math.max(y, CARD_OFFSET), maxY);
+
+    $card.style.transform = `translate(${Math.round(x)}px, ${Math.round(y)}px)`;
+  }
+
+  /**
+   * Hide the preview card
+   */
+  hide() {
+    if (this.$card) {
+      this.$card.classList.add(HIDDEN);
+    }
+  }
+
+  /**
+   * Hide the card and leave the list of links as the server rendered it
+   */
+  destroy() {
+    this.hide();
+    this.#cleanups.forEach((cleanup) => cleanup());
+    this.#cleanups = [];
+  }
+
+  /**
+   * Fill the card with the details of a post
+   * @param {Object} post - Entry from the search index
+   */
+  #fillCard(post) {
+    const $card = this.$card;
+    const category = getPrimaryCategory(post);
+    const date = new Date(post.date);
+    const excerpt = (post.content || '').trim();
+
+    $card.dataset.url = post.url;
+    $card.querySelector('.post-preview-title').textContent = post.title;
+    $card.querySelector('.post-preview-meta').textContent = [
+      isNaN(date) ? '' : date.toLocaleDateString(document.documentElement.lang),
+      category
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    $card.querySelector('.post-preview-excerpt').textContent =
+      excerpt.length > EXCERPT_LENGTH ? `${excerpt.slice(0, EXCERPT_LENGTH).trimEnd()}…` : excerpt;
+  }
+}
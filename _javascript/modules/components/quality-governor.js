@@ -0,0 +1,126 @@
+/**
+ * Quality Governor Module
+ * Watches frame times over a rolling window and decides how to keep the
+ * physics scene inside its frame budget
+ */
+
+const DEFAULTS = {
+  // Frames per measurement window
+  windowSize: 60,
+  // Share of the frame budget the simulation may spend on a frame
+  maxWorkRatio: 0.6,
+  // Below this share there is room to add detail
+  minWorkRatio: 0.25,
+  // Frames are considered dropped above this multiple of the budget
+  maxIntervalRatio: 1.5,
+  // Number of decisions kept for debugging
+  historySize: 20
+};
+
+export const QUALITY_ACTIONS = {
+  REMOVE_PARTICLES: 'remove-particles',
+  ADD_PARTICLES: 'add-particles',
+  LOWER_FPS: 'lower-fps',
+  RAISE_FPS: 'raise-fps',
+  STATIC: 'static'
+};
+
+export class QualityGovernor {
+  #options;
+  #workTimes = [];
+  #intervals = [];
+
+  /**
+   * @param {Object} options - Overrides of the window size and thresholds
+   */
+  constructor(options = {}) {
+    this.#options = { ...DEFAULTS, ...options };
+    this.history = [];
+  }
+
+  /**
+   * Record one rendered frame
+   * @param {number} interval - Time since the previous rendered frame (ms)
+   * @param {number} workTime - Time spent stepping and drawing the frame (ms)
+   */
+  sample(interval, workTime) {
+    this.#intervals.push(interval);
+    this.#workTimes.push(workTime);
+  }
+
+  /**
+   * Decide on an action once the window is full
+   * @param {Object} scene - Current state {fps, baseFPS, minFPS, particleCount, minParticles, maxParticles}
+   * @returns {Object|null} Decision {action, reason, avgWorkTime, avgInterval} or null to keep the current quality
+   */
+  evaluate(scene) {
+    if (this.#workTimes.length < this.#options.windowSize) {
+      return null;
+    }
+
+    const avgWorkTime = average(this.#workTimes);
+    const avgInterval = average(this.#intervals);
+    this.reset();
+
+    const budget = 1000 / scene.fps;
+    const overBudget =
+      avgWorkTime > budget * this.#options.maxWorkRatio ||
+      avgInterval > budget * this.#options.maxIntervalRatio;
+    const underBudget = avgWorkTime < budget * this.#options.minWorkRatio;
+
+    let action = null;
+
+    if (overBudget) {
+      if (scene.particleCount > scene.minParticles) {
+        action = QUALITY_ACTIONS.REMOVE_PARTICLES;
+      } else if (scene.fps > scene.minFPS) {
+        action = QUALITY_ACTIONS.LOWER_FPS;
+      } else {
+        action = QUALITY_ACTIONS.STATIC;
+      }
+    } else if (underBudget) {
+      if (scene.fps < scene.baseFPS) {
+        action = QUALITY_ACTIONS.RAISE_FPS;
+      } else if (scene.particleCount < scene.maxParticles) {
+        action = QUALITY_ACTIONS.ADD_PARTICLES;
+      }
+    }
+
+    if (!action) {
+      return null;
+    }
+
+    const decision = {
+      action,
+      reason: overBudget ? 'over budget' : 'under budget',
+      budget: round(budget),
+      avgWorkTime: round(avgWorkTime),
+      avgInterval: round(avgInterval),
+      particleCount: scene.particleCount,
+      fps: scene.fps
+    };
+
+    this.history.push(decision);
+    if (this.history.length > this.#options.historySize) {
+      this.history.shift();
+    }
+
+    return decision;
+  }
+
+  /**
+   * Discard the current window, e.g. after the scene was paused
+   */
+  reset() {
+    this.#workTimes = [];
+    this.#intervals = [];
+  }
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
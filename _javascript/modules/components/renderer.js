@@ -0,0 +1,20 @@
+import { PathRenderer } from './renderer/path-renderer';
+import { SpriteRenderer } from './renderer/sprite-renderer';
+
+const RENDERER_CLASSES = {
+  sprite: SpriteRenderer,
+  path: PathRenderer
+};
+
+/**
+ * Create the renderer of a physics scene.
+ * Renderers share one interface: `resize(width, height, pixelRatio)`, `render(bodies, highlight)`,
+ * `clear()` and `destroy()` (see renderer/base-renderer.js).
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Drawing context
+ * @param {string} type - One of `RENDERERS` in physics-config.js
+ * @returns {BaseRenderer}
+ */
+export function createRenderer(ctx, type) {
+  const Renderer = RENDERER_CLASSES[type] || SpriteRenderer;
+  return new Renderer(ctx);
+}
@@ -0,0 +1,134 @@
+/**
+ * Base Renderer
+ * Sizes the backing store of the canvas for the device pixel ratio, so that drawing in CSS pixels stays sharp.
+ * Subclasses implement `render(bodies, highlight, fade)`, which draws a frame of the Matter.js bodies
+ * and rings around the highlighted post bodies {bodies, color}. While the colors change, `fade` runs
+ * from 0 to 1 and bodies blend from `plugin.fadeFrom` to their new fill.
+ */
+
+/**
+ * Turn a palette color into a fill style, centered on the origin
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Drawing context
+ * @param {string|Array<string>} color - A color, or the stops of a diagonal gradient
+ * @param {number} halfWidth - Half the width of the shape
+ * @param {number} halfHeight - Half the height of the shape
+ * @returns {string|CanvasGradient}
+ */
+export function toFillStyle(ctx, color, halfWidth, halfHeight) {
+  if (!Array.isArray(color)) {
+    return color;
+  }
+
+  const gradient = ctx.createLinearGradient(-halfWidth, -halfHeight, halfWidth, halfHeight);
+  color.forEach((stop, index) => gradient.addColorStop(index / (color.length - 1), stop));
+  return gradient;
+}
+
+// Text colors over dark and light fills
+const TEXT_ON_DARK = '#fff';
+const TEXT_ON_LIGHT = '#000';
+
+// Above this relative luminance, black text contrasts more with the fill than white text (WCAG 2)
+const LIGHT_FILL_LUMINANCE = 0.179;
+
+// Text color by palette color
+const textColors = new Map();
+
+/**
+ * Pick white or black text for a palette color, whichever contrasts more with it
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Drawing context, used to read CSS colors
+ * @param {string|Array<string>} color - A color, or the stops of a gradient
+ * @returns {string}
+ */
+export function getTextColor(ctx, color) {
+  const key = String(color);
+  let textColor = textColors.get(key);
+
+  if (!textColor) {
+    const luminances = [].concat(color).map((stop) => getLuminance(ctx, stop)).filter((value) => value !== null);
+    const luminance = luminances.reduce((sum, value) => sum + value, 0) / luminances.length;
+
+    textColor = luminance > LIGHT_FILL_LUMINANCE ? TEXT_ON_LIGHT : TEXT_ON_DARK;
+    textColors.set(key, textColor);
+  }
+  return textColor;
+}
+
+/**
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Drawing context, its fill style is overwritten
+ * @param {string} color - CSS color
+ * @returns {number|null} Relative luminance from 0 to 1, null if the color can't be read
+ */
+function getLuminance(ctx, color) {
+  // The context serializes any CSS color as `#rrggbb` or `rgba(r, g, b, a)`, and ignores an invalid one
+  ctx.fillStyle = '#000';
+  ctx.fillStyle = color;
+  const value = ctx.fillStyle;
+  let channels = null;
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (/^#[0-9a-f]{6}/i.test(value)) {
+    channels = [1, 3, 5].map((index) => parseInt(value.slice(index, index + 2), 16));
+  } else {
+    const match = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/);
+    channels = match ? match.slice(1, 4).map(Number) : null;
+  }
+
+  if (!channels) {
+    return null;
+  }
+
+  const [r, g, b] = channels.map((channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export class BaseRenderer {
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Drawing context
+   */
+  constructor(ctx) {
+    this.ctx = ctx;
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+  }
+
+  /**
+   * @param {number} width - Canvas width in CSS pixels
+   * @param {number} height - Canvas height in CSS pixels
+   * @param {number} pixelRatio - Device pixels per CSS pixel
+   */
+  resize(width, height, pixelRatio = 1) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+
+    // Resizing the backing store also resets the context state
+    this.ctx.canvas.width = Math.round(width * pixelRatio);
+    this.ctx.canvas.height = Math.round(height * pixelRatio);
+  }
+
+  /**
+   * Erase the canvas and leave the context scaled to CSS pixels
+   */
+  clear() {
+    const { ctx, pixelRatio } = this;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
+
+  /**
+   * Release caches and clear the canvas
+   */
+  destroy() {
+    this.clear();
+  }
+}
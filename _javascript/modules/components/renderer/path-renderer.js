@@ -0,0 +1,73 @@
+/**
+ * Path Renderer
+ * Builds a path for every body on every frame. Simple, and the reference for the sprite renderer.
+ */
+
+import { BaseRenderer, toFillStyle } from './base-renderer';
+import { drawPostLabel } from '../post-particles';
+import { drawLetter } from '../letter-bodies';
+
+export class PathRenderer extends BaseRenderer {
+  render(particles, highlight, fade = 1) {
+    const { ctx } = this;
+
+    // Clear canvas
+    this.clear();
+
+    // Draw each particle
+    particles.forEach((particle) => {
+      ctx.save();
+
+      // Translate to particle position
+      ctx.translate(particle.position.x, particle.position.y);
+
+      // Title letters are their glyph alone, in the color of the heading
+      if (particle.plugin.letter) {
+        ctx.rotate(particle.angle);
+        drawLetter(ctx, particle, highlight.color);
+        ctx.restore();
+        return;
+      }
+
+      // Draw based on shape type
+      ctx.beginPath();
+      if (particle.circleRadius) {
+        // Circle
+        ctx.arc(0, 0, particle.circleRadius, 0, Math.PI * 2);
+      } else if (particle.vertices) {
+        // Polygon (rectangle or triangle)
+        const vertices = particle.vertices;
+        ctx.moveTo(vertices[0].x - particle.position.x, vertices[0].y - particle.position.y);
+        for (let i = 1; i < vertices.length; i++) {
+          ctx.lineTo(vertices[i].x - particle.position.x, vertices[i].y - particle.position.y);
+        }
+        ctx.closePath();
+      }
+
+      // Fill with the particle color, over the previous one while the colors fade
+      const halfWidth = (particle.bounds.max.x - particle.bounds.min.x) / 2;
+      const halfHeight = (particle.bounds.max.y - particle.bounds.min.y) / 2;
+      const fading = fade < 1 && particle.plugin.fadeFrom;
+
+      if (fading) {
+        ctx.fillStyle = toFillStyle(ctx, particle.plugin.fadeFrom, halfWidth, halfHeight);
+        ctx.fill();
+        ctx.globalAlpha = fade;
+      }
+
+      ctx.fillStyle = toFillStyle(ctx, particle.render.fillStyle, halfWidth, halfHeight);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+
+      // The vertices are already rotated, only the label needs the body's angle
+      ctx.rotate(particle.angle);
+
+      if (particle.plugin.post) {
+        const isHighlighted = highlight.bodies.includes(particle);
+        drawPostLabel(ctx, particle, isHighlighted ? highlight.color : null);
+      }
+
+      ctx.restore();
+    });
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * Sprite Renderer
+ * Pre-renders every shape and color combination once, then draws each body as a single image,
+ * grouped by sprite so that a frame is a run of transforms and `drawImage()` calls.
+ * Particles of close sizes share a sprite, drawn to the scale of each body.
+ */
+
+import { BaseRenderer, toFillStyle } from './base-renderer';
+import { drawPostLabel, drawPostHighlight } from '../post-particles';
+import { drawLetter } from '../letter-bodies';
+
+// Room for anti-aliased edges around a shape (CSS pixels)
+const SPRITE_PADDING = 2;
+
+// Rebuild the cache from scratch when palettes keep changing
+const MAX_SPRITES = 512;
+
+// Particle sprites are rendered at the size of the body rounded up to a multiple of this, and scaled down
+const SIZE_STEP = 8;
+
+export class SpriteRenderer extends BaseRenderer {
+  #sprites = new Map();
+  #bodies = new WeakMap();
+
+  resize(width, height, pixelRatio = 1) {
+    // Sprites are rendered for one pixel ratio
+    if (pixelRatio !== this.pixelRatio) {
+      this.#reset();
+    }
+
+    super.resize(width, height, pixelRatio);
+  }
+
+  render(bodies, highlight, fade = 1) {
+    const batches = new Map();
+    const posts = [];
+    const letters = [];
+    const fading = [];
+
+    bodies.forEach((body) => {
+      if (body.plugin.letter) {
+        letters.push(body);
+        return;
+      }
+
+      if (body.plugin.post) {
+        posts.push(body);
+        return;
+      }
+
+      if (fade < 1 && body.plugin.fadeFrom) {
+        fading.push(body);
+        return;
+      }
+
+      const sprite = this.#getSprite(body);
+      const batch = batches.get(sprite);
+
+      if (batch) {
+        batch.push(body);
+      } else {
+        batches.set(sprite, [body]);
+      }
+    });
+
+    this.clear();
+
+    batches.forEach((batch, sprite) => {
+      batch.forEach((body) => this.#drawSprite(sprite, body));
+    });
+
+    fading.forEach((body) => this.#drawFading(body, fade));
+
+    // Posts go on top, so their titles stay readable
+    posts.forEach((body) => {
+      if (fade < 1 && body.plugin.fadeFrom) {
+        this.#drawFading(body, fade);
+      } else {
+        this.#drawSprite(this.#getSprite(body), body);
+      }
+    });
+
+    // Title letters take the color of the heading, like the ring
+    letters.forEach((body) => {
+      this.#drawSprite(this.#getSpriteFor(this.#getEntry(body).shape, body, highlight.color), body);
+    });
+
+    highlight.bodies.forEach((body) => {
+      this.#transformTo(body, body.angle);
+      drawPostHighlight(this.ctx, body, highlight.color);
+    });
+
+    this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+  }
+
+  destroy() {
+    this.#reset();
+    super.destroy();
+  }
+
+  #reset() {
+    this.#sprites.clear();
+    this.#bodies = new WeakMap();
+  }
+
+  /**
+   * @param {Matter.Body} body
+   * @returns {Object} Sprite {image, x, y, width, height, rotates} of the body's current shape and color
+   */
+  #getSprite(body) {
+    const color = body.render.fillStyle;
+    const entry = this.#getEntry(body);
+
+    if (entry.color !== color || !entry.sprite) {
+      entry.color = color;
+      entry.sprite = this.#getSpriteFor(entry.shape, body, color);
+    }
+
+    return entry.sprite;
+  }
+
+  #getEntry(body) {
+    let entry = this.#bodies.get(body);
+
+    if (!entry) {
+      entry = { shape: getLocalShape(body), color: null, sprite: null };
+      this.#bodies.set(body, entry);
+    }
+    return entry;
+  }
+
+  #getSpriteFor(shape, body, color) {
+    const key = `${shape.key}|${color}`;
+    let sprite = this.#sprites.get(key);
+
+    if (!sprite) {
+      if (this.#sprites.size >= MAX_SPRITES) {
+        this.#sprites.clear();
+      }
+
+      sprite = this.#createSprite(shape, body, color);
+      this.#sprites.set(key, sprite);
+    }
+    return sprite;
+  }
+
+  /**
+   * Draw the new color over the previous one, more opaque as the fade goes on
+   */
+  #drawFading(body, fade) {
+    const previous = this.#getSpriteFor(this.#getEntry(body).shape, body, body.plugin.fadeFrom);
+
+    this.#drawSprite(previous, body);
+    this.ctx.globalAlpha = fade;
+    this.#drawSprite(this.#getSprite(body), body);
+    this.ctx.globalAlpha = 1;
+  }
+
+  /**
+   * @param {Object} shape - Shape from `getLocalShape()`
+   * @param {Matter.Body} body - Body with that shape, for the post label or the glyph of a letter
+   * @param {string} color - Fill color
+   * @returns {Object} Sprite
+   */
+  #createSprite(shape, body, color) {
+    const { pixelRatio } = this;
+    const halfWidth = shape.halfWidth + SPRITE_PADDING;
+    const halfHeight = shape.halfHeight + SPRITE_PADDING;
+    const image = createCanvas(Math.ceil(halfWidth * 2 * pixelRatio), Math.ceil(halfHeight * 2 * pixelRatio));
+    const ctx = image.getContext('2d');
+
+    ctx.scale(pixelRatio, pixelRatio);
+    ctx.translate(halfWidth, halfHeight);
+
+    if (body.plugin.letter) {
+      drawLetter(ctx, body, color);
+    } else {
+      drawShape(ctx, shape, color);
+    }
+
+    if (body.plugin.post) {
+      drawPostLabel(ctx, body, null, color);
+    }
+
+    return {
+      image,
+      x: -halfWidth,
+      y: -halfHeight,
+      width: halfWidth * 2,
+      height: halfHeight * 2,
+      // A circle looks the same at every angle
+      rotates: !shape.radius
+    };
+  }
+
+  #drawSprite(sprite, body) {
+    const { scale } = this.#getEntry(body).shape;
+
+    this.#transformTo(body, sprite.rotates ? body.angle : 0);
+    this.ctx.drawImage(sprite.image, sprite.x * scale, sprite.y * scale, sprite.width * scale, sprite.height * scale);
+  }
+
+  /**
+   * Move the origin to the body, in one `setTransform()` rather than save/translate/rotate/restore
+   */
+  #transformTo(body, angle) {
+    const { pixelRatio } = this;
+    const cos = Math.cos(angle) * pixelRatio;
+    const sin = Math.sin(angle) * pixelRatio;
+
+    this.ctx.setTransform(cos, sin, -sin, cos, body.position.x * pixelRatio, body.position.y * pixelRatio);
+  }
+}
+
+/**
+ * Fill a shape from `getLocalShape()` around the origin
+ */
+function drawShape(ctx, shape, color) {
+  ctx.fillStyle = toFillStyle(ctx, color, shape.halfWidth, shape.halfHeight);
+  ctx.beginPath();
+
+  if (shape.radius) {
+    ctx.arc(0, 0, shape.radius, 0, Math.PI * 2);
+  } else {
+    shape.vertices.forEach(({ x, y }, index) => {
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.closePath();
+  }
+  ctx.fill();
+}
+
+/**
+ * Get the outline of a body at angle 0, around its position, at the size of its sprite
+ * @param {Matter.Body} body
+ * @returns {Object} Shape {key, radius} of a circle, or {key, vertices} of a polygon, with its half extents
+ *   and the `scale` of the body to the shape
+ */
+function getLocalShape(body) {
+  if (body.circleRadius) {
+    const radius = toSpriteSize(body.circleRadius);
+    return { key: `circle:${radius}`, radius, halfWidth: radius, halfHeight: radius, scale: body.circleRadius / radius };
+  }
+
+  // The vertices are in world space, undo the position and rotation
+  const cos = Math.cos(-body.angle);
+  const sin = Math.sin(-body.angle);
+  let vertices = body.vertices.map((vertex) => {
+    const dx = vertex.x - body.position.x;
+    const dy = vertex.y - body.position.y;
+    return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+  });
+
+  // Posts and letters keep their size, their label and glyph are drawn in the sprite
+  const points = () => vertices.map(({ x, y }) => `${round(x)},${round(y)}`).join(' ');
+  let key;
+  let scale = 1;
+  if (body.plugin.post) {
+    key = `post:${body.plugin.text}:${points()}`;
+  } else if (body.plugin.letter) {
+    key = `letter:${body.plugin.letter.char}:${body.plugin.letter.font}:${points()}`;
+  } else {
+    const size = Math.max(...vertices.map(({ x, y }) => Math.max(Math.abs(x), Math.abs(y))));
+    const spriteSize = toSpriteSize(size);
+
+    scale = size / spriteSize;
+    vertices = vertices.map(({ x, y }) => ({ x: x / scale, y: y / scale }));
+
+    // Particles of one kind only differ by size, and by less than a pixel in the chamfer of the rectangles
+    key = body.plugin.shape ? `${body.plugin.shape}:${spriteSize}` : points();
+  }
+
+  return {
+    key,
+    vertices,
+    halfWidth: Math.max(...vertices.map(({ x }) => Math.abs(x))),
+    halfHeight: Math.max(...vertices.map(({ y }) => Math.abs(y))),
+    scale
+  };
+}
+
+function toSpriteSize(size) {
+  return Math.ceil(size / SIZE_STEP) * SIZE_STEP;
+}
+
+function round(value) {
+  return Math.round(value * 2) / 2;
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
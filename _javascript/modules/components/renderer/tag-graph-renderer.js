@@ -0,0 +1,92 @@
+/**
+ * Tag Graph Renderer
+ * Draws the springs between tags, then the tags as labeled circles (see tag-graph.js)
+ */
+
+import { BaseRenderer, getTextColor, toFillStyle } from './base-renderer';
+
+const LABEL_FONT = '600 12px sans-serif';
+const LABEL_PADDING = 4;
+
+export class TagGraphRenderer extends BaseRenderer {
+  // Label of each body, shortened to fit its circle
+  #labels = new WeakMap();
+
+  /**
+   * @param {Array} bodies - Tag bodies
+   * @param {Array} constraints - Springs between the tags
+   * @param {Object} style - Colors {link, highlight}, and the `highlighted` body or null
+   */
+  render(bodies, constraints, { link, highlight, highlighted }) {
+    const { ctx } = this;
+
+    this.clear();
+
+    ctx.lineCap = 'round';
+    constraints.forEach((constraint) => {
+      const { bodyA, bodyB } = constraint;
+      const active = highlighted && (bodyA === highlighted || bodyB === highlighted);
+
+      ctx.strokeStyle = active ? highlight : link;
+      ctx.lineWidth = active ? 2 : 1;
+      ctx.beginPath();
+      ctx.moveTo(bodyA.position.x, bodyA.position.y);
+      ctx.lineTo(bodyB.position.x, bodyB.position.y);
+      ctx.stroke();
+    });
+
+    ctx.font = LABEL_FONT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    bodies.forEach((body) => {
+      const { x, y } = body.position;
+      const radius = body.circleRadius;
+
+      ctx.save();
+      ctx.translate(x, y);
+
+      ctx.beginPath();
+      ctx.arc(0, 0, radius, 0, Math.PI * 2);
+      ctx.fillStyle = toFillStyle(ctx, body.render.fillStyle, radius, radius);
+      ctx.fill();
+
+      if (body === highlighted) {
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = highlight;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius + 3, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      ctx.fillStyle = getTextColor(ctx, body.render.fillStyle);
+      ctx.fillText(this.#getLabel(body), 0, 1);
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Shorten the tag name so that it fits the circle, expects the label font to be set
+   * @param {Matter.Body} body - Tag body
+   * @returns {string}
+   */
+  #getLabel(body) {
+    let label = this.#labels.get(body);
+
+    if (label === undefined) {
+      const maxWidth = (body.circleRadius - LABEL_PADDING) * 2;
+      label = body.plugin.tag.name;
+
+      if (this.ctx.measureText(label).width > maxWidth) {
+        while (label.length > 1 && this.ctx.measureText(`${label}…`).width > maxWidth) {
+          label = label.slice(0, -1);
+        }
+        label = `${label.trimEnd()}…`;
+      }
+
+      this.#labels.set(body, label);
+    }
+
+    return label;
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * Scene Export Module
+ * Saves the physics scene as a PNG with the page title drawn in, or records it as a WebM clip,
+ * either live or as a seamless loop simulated off-screen
+ */
+
+import { SceneRunner } from './scene-runner';
+import { FIXED_TIMESTEP } from './timestep';
+import { getThemeColors } from './particle-system';
+import { getHighlightColor } from './post-particles';
+
+const CLIP_SECONDS = 5;
+const LOOP_SECONDS = 4;
+
+// Steps simulated before a loop is recorded, so that it starts in motion rather than from the layout
+const LOOP_WARMUP_STEPS = 120;
+
+// The end of a loop fades into the frames just before its start, so that the clip repeats without a jump
+const LOOP_BLEND_FRAMES = 30;
+const LOOP_FPS = 60;
+
+// Browsers may still be reading a large download when the click returns, free its URL a while later
+const REVOKE_DELAY = 30000;
+
+/**
+ * Check whether the browser can record the canvas
+ * @returns {boolean}
+ */
+export function supportsVideoExport() {
+  return (
+    typeof MediaRecorder !== 'undefined' &&
+    typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+    getVideoType() !== null
+  );
+}
+
+/**
+ * Draw the current frame with the background and the text elements over it
+ * @param {PhysicsScene} scene - Scene to capture (see physics-scene.js)
+ * @param {Array<HTMLElement>} texts - Elements drawn in at their place on the canvas, e.g. the site title
+ * @returns {Promise<Blob>} PNG image
+ */
+export function exportImage(scene, texts) {
+  return scene.captureFrame().then((bitmap) => {
+    const composer = createComposer(scene.canvas, texts, bitmap.width, bitmap.height);
+
+    composer.draw(bitmap);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+      composer.canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))));
+    });
+  });
+}
+
+/**
+ * Record the live scene for a few seconds
+ * @param {PhysicsScene} scene - Scene to record, it keeps running meanwhile
+ * @param {Array<HTMLElement>} texts - Elements drawn in at their place on the canvas
+ * @param {number} seconds - Length of the clip
+ * @returns {Promise<Blob>} WebM video
+ */
+export function recordClip(scene, texts, seconds = CLIP_SECONDS) {
+  const { width, height, pixelRatio } = scene.size;
+  const composer = createComposer(scene.canvas, texts, width * pixelRatio, height * pixelRatio);
+  const stream = composer.canvas.captureStream(0);
+  const recording = record(stream);
+  const frameTime = 1000 / scene.config.targetFPS;
+  const end = performance.now() + seconds * 1000;
+
+  // Frames come from `captureFrame()`, as a scene in a worker draws on an OffscreenCanvas rather than its canvas
+  const recordFrames = (track) => {
+    const start = performance.now();
+
+    if (start >= end) {
+      return recording.stop();
+    }
+
+    return scene
+      .captureFrame()
+      .then((bitmap) => {
+        composer.draw(bitmap);
+        bitmap.close();
+        track.requestFrame();
+
+        return wait(Math.max(0, frameTime - (performance.now() - start)));
+      })
+      .then(() => recordFrames(track));
+  };
+
+  return recordFrames(stream.getVideoTracks()[0]);
+}
+
+/**
+ * Simulate a copy of the scene off-screen in fixed steps and record it as a loop.
+ * The live scene is left as it is.
+ * @param {PhysicsScene} scene - Scene to copy, with its bodies, posts and preset
+ * @param {Array<HTMLElement>} texts - Elements drawn in at their place on the canvas
+ * @param {number} seconds - Length of the loop
+ * @returns {Promise<Blob>} WebM video
+ */
+export function recordLoop(scene, texts, seconds = LOOP_SECONDS) {
+  const { canvas } = scene;
+  const { width, height, pixelRatio } = scene.size;
+
+  const frame = document.createElement('canvas');
+  const runner = new SceneRunner(
+    frame.getContext('2d'),
+    { ...scene.config, fixedTimestep: true, adaptiveQuality: false },
+    { width, height, pixelRatio, colors: getThemeColors(scene.config.palette), highlightColor: getHighlightColor() }
+  );
+
+  runner.addPosts(scene.posts);
+  if (scene.glyphs) {
+    runner.setLetters(scene.glyphs);
+  }
+  const state = scene.getState();
+  if (state) {
+    runner.restoreState(state);
+  }
+
+  for (let i = 0; i < LOOP_WARMUP_STEPS; i++) {
+    runner.simulation.step([], FIXED_TIMESTEP);
+  }
+
+  const composer = createComposer(canvas, texts, frame.width, frame.height);
+  const frameCount = Math.round(seconds * LOOP_FPS);
+  const head = [];
+  let recording = null;
+
+  const drawFrame = () => {
+    runner.simulation.step([], FIXED_TIMESTEP);
+    runner.render();
+    composer.draw(frame);
+  };
+
+  // The first frames are kept aside rather than recorded, the clip ends by fading into them
+  const keepHead = () => {
+    if (head.length === LOOP_BLEND_FRAMES) {
+      return Promise.resolve();
+    }
+
+    drawFrame();
+    return createImageBitmap(composer.canvas).then((bitmap) => {
+      head.push(bitmap);
+      return keepHead();
+    });
+  };
+
+  // Frames are drawn at the pace of the video, as MediaRecorder timestamps them by the clock
+  const recordFrames = (track, index) => {
+    if (index === frameCount) {
+      return recording.stop();
+    }
+
+    drawFrame();
+
+    const blend = index - (frameCount - LOOP_BLEND_FRAMES);
+    if (blend >= 0) {
+      composer.overlay(head[blend], (blend + 1) / LOOP_BLEND_FRAMES);
+    }
+
+    track.requestFrame();
+    return wait(1000 / LOOP_FPS).then(() => recordFrames(track, index + 1));
+  };
+
+  return keepHead()
+    .then(() => {
+      const stream = composer.canvas.captureStream(0);
+      recording = record(stream);
+      return recordFrames(stream.getVideoTracks()[0], 0);
+    })
+    .finally(() => {
+      head.forEach((bitmap) => bitmap.close());
+      runner.destroy();
+    });
+}
+
+/**
+ * Save a file through the browser's download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
+
+function getVideoType() {
+  if (typeof MediaRecorder === 'undefined') {
+    return null;
+  }
+  const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  return types.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Start recording a stream
+ * @param {MediaStream} stream
+ * @returns {Object} Recording {stop}, where `stop()` resolves with the video
+ */
+function record(stream) {
+  const type = getVideoType();
+  const recorder = new MediaRecorder(stream, { mimeType: type });
+  const chunks = [];
+
+  recorder.addEventListener('dataavailable', (event) => chunks.push(event.data));
+  recorder.start();
+
+  return {
+    stop() {
+      return new Promise((resolve) => {
+        recorder.addEventListener('stop', () => {
+          stream.getTracks().forEach((track) => track.stop());
+          resolve(new Blob(chunks, { type: 'video/webm' }));
+        });
+        recorder.stop();
+      });
+    }
+  };
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Prepare a canvas that lays the background, a scene frame and the texts on top of each other
+ * @param {HTMLCanvasElement} canvas - Scene canvas on the page, for the background and the text positions
+ * @param {Array<HTMLElement>} texts - Elements drawn in at their place
+ * @param {number} width - Size in device pixels
+ * @param {number} height
+ * @returns {Object} Composer {canvas, draw(image), overlay(image, alpha)}
+ */
+function createComposer(canvas, texts, width, height) {
+  const output = document.createElement('canvas');
+  const ctx = output.getContext('2d');
+  const canvasRect = canvas.getBoundingClientRect();
+  const scale = width / (canvasRect.width || width);
+  const background = getBackground(canvas);
+
+  output.width = width;
+  output.height = height;
+
+  // Measure the texts once, they stay in place while recording
+  const labels = texts.filter(Boolean).map((element) => {
+    const rect = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+
+    return {
+      text: element.textContent.trim(),
+      font: `${style.fontWeight} ${parseFloat(style.fontSize) * scale}px ${style.fontFamily}`,
+      color: style.color,
+      x: (rect.left - canvasRect.left + rect.width / 2) * scale,
+      y: (rect.top - canvasRect.top + rect.height / 2) * scale
+    };
+  });
+
+  return {
+    canvas: output,
+
+    draw(image) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0, width, height);
+
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      labels.forEach(({ text, font, color, x, y }) => {
+        ctx.font = font;
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+      });
+    },
+
+    overlay(image, alpha) {
+      ctx.globalAlpha = alpha;
+      ctx.drawImage(image, 0, 0, width, height);
+      ctx.globalAlpha = 1;
+    }
+  };
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {string} The first opaque background color behind the canvas
+ */
+function getBackground(canvas) {
+  for (let element = canvas.parentElement; element; element = element.parentElement) {
+    const color = getComputedStyle(element).backgroundColor;
+    if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') {
+      return color;
+    }
+  }
+  return '#fff';
+}
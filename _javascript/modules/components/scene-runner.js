@@ -0,0 +1,364 @@
+/**
+ * Scene Runner Module
+ * Steps and draws a scene simulation in an animation loop. It only needs a 2D context,
+ * so the same runner drives the canvas on the main thread and the OffscreenCanvas in the physics worker.
+ */
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html) or by the physics worker
+const Matter = self.Matter;
+
+import { SceneSimulation } from './scene-simulation';
+import { FIXED_TIMESTEP } from './timestep';
+import { FrameLoop } from './frame-loop';
+import { createBodyDrag } from './physics-core';
+import { createRenderer } from './renderer';
+
+// Upper limit of fixed steps per frame, so that a slow frame can't snowball into slower ones
+const MAX_STEPS_PER_FRAME = 4;
+
+// Weight of the newest frame in the smoothed stats
+const STATS_SMOOTHING = 0.1;
+
+// Steps simulated ahead for a still frame, enough for the particles to come to rest
+const SETTLE_STEPS = 300;
+
+export class SceneRunner {
+  // Time not yet simulated in the fixed-timestep mode (ms)
+  #pendingTime = 0;
+
+  // Smoothed timings and the last pointer count, for the debug overlay
+  #stats = { fps: 0, stepTime: 0, fields: 0 };
+
+  // Color change in progress {start, duration}, and the loop that draws it while paused
+  #fade = null;
+  #fadeLoop = null;
+
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Drawing context
+   * @param {Object} config - Scene configuration (see physics-config.js)
+   * @param {Object} options - Initial state {width, height, pixelRatio, colors, highlightColor},
+   *   and `onFrame()` called after every rendered frame
+   */
+  constructor(ctx, config, { width, height, pixelRatio, colors, highlightColor, onFrame }) {
+    this.ctx = ctx;
+    this.config = config;
+    this.onFrame = onFrame || (() => {});
+
+    this.renderer = createRenderer(ctx, config.renderer);
+    this.renderer.resize(width, height, pixelRatio);
+
+    this.simulation = new SceneSimulation(config, { width, height, colors });
+    this.drag = createBodyDrag(this.simulation.engine);
+    this.loop = new FrameLoop(() => config.targetFPS, (interval) => this.#frame(interval));
+
+    this.pointers = [];
+    this.highlight = { bodies: [], color: highlightColor };
+  }
+
+  /**
+   * @returns {boolean} Whether the animation loop is running
+   */
+  get running() {
+    return this.loop.running;
+  }
+
+  start() {
+    // The governor may have stopped the animation, give it another chance
+    this.simulation.resetQuality();
+    this.#stopFadeLoop();
+    this.loop.start();
+  }
+
+  stop() {
+    this.loop.stop();
+  }
+
+  /**
+   * Draw the current state without stepping, e.g. while paused
+   */
+  render() {
+    const { particles, letters } = this.simulation;
+    const bodies = letters.length > 0 ? [...particles, ...letters] : particles;
+
+    this.renderer.render(bodies, this.highlight, this.#getFadeProgress());
+  }
+
+  /**
+   * Simulate ahead without drawing, then draw the settled state once
+   * @param {number} steps - Number of fixed steps
+   */
+  settle(steps = SETTLE_STEPS) {
+    for (let i = 0; i < steps; i++) {
+      this.simulation.step([], FIXED_TIMESTEP);
+    }
+    this.render();
+  }
+
+  /**
+   * @param {number} width - New canvas width in CSS pixels
+   * @param {number} height - New canvas height in CSS pixels
+   * @param {number} pixelRatio - Device pixels per CSS pixel
+   */
+  resize(width, height, pixelRatio = this.renderer.pixelRatio) {
+    this.renderer.resize(width, height, pixelRatio);
+    this.simulation.resize(width, height);
+    this.render();
+  }
+
+  /**
+   * @param {Array} rects - Rectangles {x, y, width, height, radius} of the page overlay
+   */
+  setObstacles(rects) {
+    this.simulation.setObstacles(rects);
+  }
+
+  /**
+   * @param {Array<string|Array<string>>} colors - Palette of colors and gradients
+   * @param {string} highlightColor - Ring color of highlighted post bodies
+   * @param {number} fadeDuration - Time to blend from the previous colors (ms), 0 to switch at once
+   */
+  setColors(colors, highlightColor, fadeDuration = 0) {
+    const fade = fadeDuration > 0;
+
+    this.simulation.setColors(colors, fade);
+    this.highlight.color = highlightColor;
+    this.#fade = fade ? { start: performance.now(), duration: fadeDuration } : null;
+
+    if (this.running) return;
+
+    if (fade) {
+      // Draw the fade even though the scene is paused
+      this.#fadeLoop = this.#fadeLoop || new FrameLoop(() => this.config.targetFPS, () => this.render());
+      this.#fadeLoop.start();
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * @param {string} mode - 'attract' or 'repel'
+   */
+  setForceMode(mode) {
+    this.config.forceMode = mode;
+  }
+
+  /**
+   * @param {string} name - Preset name (see physics-presets.js)
+   */
+  setPreset(name) {
+    this.simulation.setPreset(name);
+
+    if (!this.running) {
+      this.render();
+    }
+  }
+
+  /**
+   * @param {Object} tilt - Tilt {x, y} of the gravity, each between -1 and 1
+   */
+  setTilt(tilt) {
+    this.simulation.setTilt(tilt);
+  }
+
+  /**
+   * @param {Map<number, Object>|Array<Object>} pointers - Active pointers {isPrimary, position, type, pressure},
+   *   either the live map of the mouse tracker or a copy posted to the worker
+   */
+  setPointers(pointers) {
+    this.pointers = pointers;
+  }
+
+  /**
+   * @param {Object} position - Position {x, y} in canvas coordinates
+   */
+  spawn(position) {
+    this.simulation.spawn(position);
+  }
+
+  /**
+   * Find the movable body under a point
+   * @param {Object} point - Position {x, y} in canvas coordinates
+   * @returns {Matter.Body|null}
+   */
+  findBodyAt(point) {
+    const { particles, letters } = this.simulation;
+    const hits = Matter.Query.point(letters.length > 0 ? [...particles, ...letters] : particles, point);
+    return hits.length > 0 ? hits[0] : null;
+  }
+
+  /**
+   * @param {Array} posts - Entries from the search index
+   * @returns {Array} The post bodies
+   */
+  addPosts(posts) {
+    return this.simulation.addPosts(posts, this.ctx);
+  }
+
+  /**
+   * @param {Object|null} glyphs - Glyphs of the title from `measureGlyphs()`, null to remove its letters
+   */
+  setLetters(glyphs) {
+    this.simulation.setLetters(glyphs);
+
+    if (!this.running) {
+      this.render();
+    }
+  }
+
+  /**
+   * @param {Array} bodies - Post bodies to draw with a ring
+   */
+  setHighlight(bodies) {
+    this.highlight.bodies = bodies;
+
+    if (!this.running) {
+      this.render();
+    }
+  }
+
+  getQualityStats() {
+    return this.simulation.getQualityStats();
+  }
+
+  /**
+   * @returns {Promise<ImageBitmap>} The frame on the canvas, in device pixels
+   */
+  captureFrame() {
+    return createImageBitmap(this.ctx.canvas);
+  }
+
+  /**
+   * @returns {Object} Stats {fps, stepTime, bodies, sleeping, fields, pairs} of the debug overlay
+   */
+  getDebugStats() {
+    const { engine } = this.simulation;
+    const bodies = Matter.Composite.allBodies(engine.world).filter((body) => !body.isStatic);
+
+    return {
+      fps: this.#stats.fps,
+      stepTime: this.#stats.stepTime,
+      bodies: bodies.length,
+      sleeping: bodies.filter((body) => body.isSleeping).length,
+      fields: this.#stats.fields,
+      pairs: engine.pairs.list.filter((pair) => pair.isActive).length
+    };
+  }
+
+  /**
+   * @param {Object} changes - Config values by key (see physics-config.js)
+   */
+  setConfig(changes) {
+    this.simulation.setConfig(changes);
+  }
+
+  /**
+   * @returns {Object} Bodies in plain data (see `SceneSimulation.getState()`)
+   */
+  getState() {
+    return this.simulation.getState();
+  }
+
+  /**
+   * @param {Object} state - State from `getState()`, possibly of another visit
+   */
+  restoreState(state) {
+    this.simulation.restoreState(state);
+
+    if (!this.running) {
+      this.render();
+    }
+  }
+
+  /**
+   * Stop the loop, empty the world and clear the canvas
+   */
+  destroy() {
+    this.loop.stop();
+    this.#stopFadeLoop();
+    this.simulation.destroy();
+    this.highlight.bodies = [];
+    this.renderer.destroy();
+  }
+
+  /**
+   * @returns {number} How far the color fade went, from 0 to 1, which ends it
+   */
+  #getFadeProgress() {
+    if (!this.#fade) {
+      return 1;
+    }
+
+    const progress = (performance.now() - this.#fade.start) / this.#fade.duration;
+
+    if (progress < 1) {
+      return progress;
+    }
+
+    this.#fade = null;
+    this.simulation.endColorFade();
+    this.#stopFadeLoop();
+    return 1;
+  }
+
+  #updateStats(interval, stepTime, fields) {
+    const stats = this.#stats;
+
+    if (interval > 0) {
+      stats.fps += (1000 / interval - stats.fps) * STATS_SMOOTHING;
+    }
+    stats.stepTime += (stepTime - stats.stepTime) * STATS_SMOOTHING;
+    stats.fields = fields;
+  }
+
+  #stopFadeLoop() {
+    if (this.#fadeLoop) {
+      this.#fadeLoop.stop();
+    }
+  }
+
+  /**
+   * Catch up with the elapsed time in steps of constant length
+   * @param {Array<Object>} fields - Pointers that exert a force field
+   * @param {number} interval - Time since the previous frame (ms), 0 on the first
+   */
+  #stepFixed(fields, interval) {
+    this.#pendingTime += interval || FIXED_TIMESTEP;
+
+    let steps = 0;
+    while (this.#pendingTime >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+      this.simulation.step(fields, FIXED_TIMESTEP);
+      this.#pendingTime -= FIXED_TIMESTEP;
+      steps++;
+    }
+
+    // Drop the time we could not catch up with rather than fast-forwarding later
+    if (steps === MAX_STEPS_PER_FRAME) {
+      this.#pendingTime = 0;
+    }
+  }
+
+  #frame(interval) {
+    const frameStart = performance.now();
+
+    // The primary pointer holds the dragged body instead of a field
+    const dragging = this.drag.isDragging();
+    const pointers = this.pointers instanceof Map ? [...this.pointers.values()] : this.pointers;
+    const fields = pointers.filter((pointer) => !(pointer.isPrimary && dragging));
+
+    if (this.config.fixedTimestep) {
+      this.#stepFixed(fields, interval);
+    } else {
+      this.simulation.step(fields);
+    }
+    this.#updateStats(interval, performance.now() - frameStart, fields.length);
+    this.render();
+
+    this.simulation.sampleQuality(interval, performance.now() - frameStart);
+
+    if (this.simulation.isStatic) {
+      this.loop.stop();
+    }
+
+    this.onFrame();
+  }
+}
@@ -0,0 +1,532 @@
+/**
+ * Scene Simulation Module
+ * The Matter.js world of the physics scene and its particles, without any DOM access,
+ * so that it can run on the main thread or in the physics worker
+ */
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html) or by the physics worker
+const Matter = self.Matter;
+
+import {
+  createParticles,
+  createSingleParticle,
+  getParticleState,
+  restoreParticles,
+  getBodyMotion,
+  setBodyMotion
+} from './particle-system';
+import { createPostParticles, getCategoryColor, getPrimaryCategory } from './post-particles';
+import { QualityGovernor, QUALITY_ACTIONS } from './quality-governor';
+import { createBoundaries, createObstacles, scaleBodyPositions, applyPointerForces } from './physics-core';
+import { createRandom } from './seeded-random';
+import { getPreset, applyPresetField, respawnParticles } from './physics-presets';
+import {
+  createLetterBodies,
+  removeLetterBodies,
+  moveLetterHomes,
+  getGlyphKey,
+  updateLetters
+} from './letter-bodies';
+import { logger } from './physics-logger';
+import { FIXED_TIMESTEP } from './timestep';
+
+// Gravity added by tilting the device all the way
+const TILT_GRAVITY = 1;
+
+// Mixed into the seed of the generator for bodies added at moments that depend on timing
+const LATE_SEED = 0x9e3779b9;
+
+// Steps run by `checkDeterminism()` unless told otherwise
+const CHECK_STEPS = 300;
+
+/**
+ * Run a scene twice from the same seed in fixed steps, and compare the particles of `getState()` afterwards.
+ * Runs without a browser too, see tools/check-determinism.js.
+ * @param {Object} config - Scene configuration (see physics-config.js), `1` is used when it has no seed
+ * @param {Object} options - Initial state {width, height, colors}
+ * @param {number} steps - Number of steps to run
+ * @returns {Object} Result {reproducible, steps, bodies, mismatches}, by number of particles
+ */
+export function checkDeterminism(config, options, steps = CHECK_STEPS) {
+  const run = () => {
+    const simulation = new SceneSimulation(
+      { ...config, seed: config.seed === null ? 1 : config.seed, fixedTimestep: true },
+      options
+    );
+
+    for (let i = 0; i < steps; i++) {
+      simulation.step([], FIXED_TIMESTEP);
+    }
+
+    const states = simulation.getState().particles.map((state) => JSON.stringify(state));
+    simulation.destroy();
+    return states;
+  };
+
+  const first = run();
+  const second = run();
+  const mismatches =
+    first.filter((state, index) => state !== second[index]).length + Math.max(0, second.length - first.length);
+
+  return { reproducible: mismatches === 0, steps, bodies: first.length, mismatches };
+}
+
+export class SceneSimulation {
+  /**
+   * @param {Object} config - Scene configuration (see physics-config.js)
+   * @param {Object} options - Initial state {width, height, colors}
+   */
+  constructor(config, { width, height, colors }) {
+    this.config = config;
+    this.width = width;
+    this.height = height;
+    this.colors = colors;
+
+    // Every random choice of the layout and the steps goes through this generator, so a seed reproduces the scene
+    this.random = createRandom(config.seed);
+
+    // Bodies added when the posts arrive or a particle is spawned draw from their own generator,
+    // so that the timing of those moments doesn't shift the draws of the steps
+    this.lateRandom = createRandom(config.seed === null ? null : (config.seed ^ LATE_SEED) >>> 0);
+
+    this.engine = Matter.Engine.create();
+    this.world = this.engine.world;
+
+    // Gravity, forces and particle shapes of the preset
+    this.preset = getPreset(config.preset);
+    this.tilt = { x: 0, y: 0 };
+    this.#applyGravity();
+
+    // Create boundaries (invisible walls)
+    this.boundaries = createBoundaries(this.world, width, height);
+
+    // Static bodies mirroring the page overlay, measured by the main thread
+    this.obstacles = [];
+
+    // Create particles
+    this.particles = createParticles(
+      this.world,
+      width,
+      height,
+      config.particleCount,
+      this.particleOptions,
+      colors,
+      this.random
+    );
+    this.postBodies = [];
+    this.postStates = null;
+
+    // Bodies of the title letters, kept apart from the particles
+    this.letters = [];
+    this.letterKey = '';
+
+    // Adaptive quality state. The governor follows measured frame times, so a scene that should
+    // play out the same way every time goes without it.
+    const reproducible = config.seed !== null || config.fixedTimestep;
+    this.governor = config.adaptiveQuality && !reproducible ? new QualityGovernor() : null;
+    this.baseFPS = config.targetFPS;
+    this.isStatic = false;
+  }
+
+  /**
+   * Add labeled bodies for posts
+   * @param {Array} posts - Entries from the search index
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context used to measure the labels
+   * @returns {Array} The post bodies
+   */
+  addPosts(posts, ctx) {
+    this.postBodies = createPostParticles(
+      this.world,
+      ctx,
+      this.width,
+      this.height,
+      posts,
+      this.colors,
+      this.lateRandom
+    );
+    this.particles.push(...this.postBodies);
+
+    if (this.postStates) {
+      this.#placePosts();
+    }
+
+    return this.postBodies;
+  }
+
+  /**
+   * Turn the glyphs of the title into letter bodies, or move their homes when only their place changed
+   * @param {Object|null} glyphs - Glyphs {font, glyphs} from `measureGlyphs()`, null to remove the letters
+   */
+  setLetters(glyphs) {
+    const key = getGlyphKey(glyphs);
+
+    if (key === this.letterKey) {
+      if (glyphs) {
+        moveLetterHomes(this.letters, glyphs);
+      }
+      return;
+    }
+
+    removeLetterBodies(this.world, this.letters);
+    this.letters = glyphs ? createLetterBodies(this.world, glyphs) : [];
+    this.letterKey = key;
+  }
+
+  /**
+   * Describe the bodies in plain data, to rebuild the scene on a later visit
+   * @returns {Object} State {width, height, preset, colors, particles, posts}
+   */
+  getState() {
+    return {
+      width: this.width,
+      height: this.height,
+      preset: this.config.preset,
+      colors: this.colors,
+      particles: this.particles.filter((p) => !p.plugin.post).map(getParticleState),
+      posts: this.postBodies.map((body) => ({ url: body.plugin.post.url, ...getBodyMotion(body) }))
+    };
+  }
+
+  /**
+   * Replace the decoration particles by the ones of a saved state, scaled to the current size.
+   * Post bodies added afterwards take their saved place too.
+   * A state of another preset is ignored.
+   * @param {Object} state - State from `getState()`
+   */
+  restoreState(state) {
+    if (state.preset !== this.config.preset || !(state.width > 0 && state.height > 0)) {
+      return;
+    }
+
+    const scaleX = this.width / state.width;
+    const scaleY = this.height / state.height;
+    const particles = restoreParticles(this.world, state.particles, this.particleOptions);
+
+    scaleBodyPositions(particles, scaleX, scaleY);
+    this.removeOldest(this.decorationCount);
+    this.particles.unshift(...particles);
+
+    this.postStates = state.posts.map((post) => ({ ...post, x: post.x * scaleX, y: post.y * scaleY }));
+    if (this.postBodies.length > 0) {
+      this.#placePosts();
+    }
+
+    // The theme may have changed on another page
+    if (JSON.stringify(state.colors) !== JSON.stringify(this.colors)) {
+      this.setColors(this.colors);
+    }
+  }
+
+  /**
+   * Advance the simulation by one step.
+   * With the same seed, pointers and deltas, the bodies end up in the same state after N steps.
+   * @param {Iterable<Object>} pointers - Pointers that exert a force field
+   * @param {number} delta - Step length (ms), defaults to one frame at the target frame rate
+   */
+  step(pointers, delta = this.stepDelta) {
+    Matter.Engine.update(this.engine, delta);
+
+    if (this.preset.pointerForce) {
+      applyPointerForces(this.particles, pointers, this.config);
+      applyPointerForces(this.letters, pointers, this.config);
+    }
+
+    updateLetters(this.letters, this.engine, delta);
+
+    applyPresetField(this.preset, this.particles, [...pointers], this);
+    respawnParticles(
+      this.preset,
+      this.particles.filter((p) => !p.plugin.post),
+      this,
+      this.random
+    );
+  }
+
+  /**
+   * Switch to another preset, replacing the decoration particles with the preset's shapes
+   * @param {string} name - Preset name (see physics-presets.js)
+   */
+  setPreset(name) {
+    this.config.preset = name;
+    this.preset = getPreset(name);
+    this.#applyGravity();
+
+    const count = this.decorationCount;
+    this.removeOldest(count);
+    this.particles.push(
+      ...createParticles(this.world, this.width, this.height, count, this.particleOptions, this.colors, this.random)
+    );
+  }
+
+  /**
+   * Appearance of new particles, from the preset or else the configuration
+   * @returns {Object} Options {shapes, size, restitution, frictionAir}
+   */
+  get particleOptions() {
+    const { preset, config } = this;
+
+    return {
+      shapes: preset.shapes || config.shapes,
+      size: preset.size || config.size,
+      restitution: config.restitution,
+      frictionAir: preset.frictionAir
+    };
+  }
+
+  /**
+   * Add a particle at a position, removing the oldest ones beyond the cap
+   * @param {Object} position - Position {x, y} in canvas coordinates
+   */
+  spawn(position) {
+    const particle = createSingleParticle(
+      this.world,
+      position.x,
+      position.y,
+      this.particleOptions,
+      this.colors,
+      this.lateRandom
+    );
+    this.particles.push(particle);
+
+    const excess = this.decorationCount - this.config.maxParticles;
+    if (excess > 0) {
+      this.removeOldest(excess);
+    }
+  }
+
+  /**
+   * The length of the next step (ms), constant in the fixed-timestep mode
+   * @returns {number}
+   */
+  get stepDelta() {
+    return this.config.fixedTimestep ? FIXED_TIMESTEP : 1000 / this.config.targetFPS;
+  }
+
+  /**
+   * The number of decoration particles, i.e. everything except post bodies
+   * @returns {number}
+   */
+  get decorationCount() {
+    return this.particles.filter((p) => !p.plugin.post).length;
+  }
+
+  /**
+   * Remove the oldest decoration particles, post bodies are kept
+   * @param {number} count - Number of particles to remove
+   */
+  removeOldest(count) {
+    const expired = this.particles.filter((p) => !p.plugin.post).slice(0, count);
+    Matter.World.remove(this.world, expired);
+    this.particles = this.particles.filter((p) => !expired.includes(p));
+  }
+
+  /**
+   * Fit the world to a new canvas size, keeping the relative particle positions
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  resize(width, height) {
+    if (this.width > 0 && this.height > 0) {
+      scaleBodyPositions(this.particles, width / this.width, height / this.height);
+      scaleBodyPositions(this.letters, width / this.width, height / this.height);
+    }
+
+    this.width = width;
+    this.height = height;
+
+    // Replace the walls
+    Matter.World.remove(this.world, this.boundaries);
+    this.boundaries = createBoundaries(this.world, width, height);
+  }
+
+  /**
+   * Replace the static bodies that mirror the page overlay
+   * @param {Array} rects - Rectangles {x, y, width, height, radius} in canvas coordinates
+   */
+  setObstacles(rects) {
+    Matter.World.remove(this.world, this.obstacles);
+    this.obstacles = createObstacles(this.world, rects);
+  }
+
+  /**
+   * Recolor the particles, e.g. when the theme changes
+   * @param {Array<string|Array<string>>} colors - Palette of colors and gradients
+   * @param {boolean} fade - Keep the previous colors in `plugin.fadeFrom` for the renderer to blend from
+   */
+  setColors(colors, fade = false) {
+    this.colors = colors;
+
+    this.particles.forEach((particle, index) => {
+      if (fade) {
+        particle.plugin.fadeFrom = particle.render.fillStyle;
+      } else {
+        delete particle.plugin.fadeFrom;
+      }
+
+      if (particle.plugin.post) {
+        particle.render.fillStyle = getCategoryColor(getPrimaryCategory(particle.plugin.post), colors);
+      } else {
+        particle.render.fillStyle = colors[index % colors.length];
+      }
+    });
+  }
+
+  /**
+   * Forget the previous colors once the renderer finished blending from them
+   */
+  endColorFade() {
+    this.particles.forEach((particle) => delete particle.plugin.fadeFrom);
+  }
+
+  /**
+   * Record a rendered frame for the quality governor and carry out its decision.
+   * Lowering the frame rate and going static are left to the caller's animation loop.
+   * @param {number} interval - Time since the previous rendered frame (ms)
+   * @param {number} workTime - Time spent stepping and drawing the frame (ms)
+   * @returns {Object|null} The decision, if any
+   */
+  sampleQuality(interval, workTime) {
+    if (!this.governor || interval <= 0) {
+      return null;
+    }
+
+    this.governor.sample(interval, workTime);
+
+    const decision = this.governor.evaluate({
+      fps: this.config.targetFPS,
+      baseFPS: this.baseFPS,
+      minFPS: this.minFPS,
+      particleCount: this.decorationCount,
+      minParticles: this.config.minParticles,
+      maxParticles: this.config.maxParticles
+    });
+
+    if (!decision) {
+      return null;
+    }
+
+    const count = this.decorationCount;
+    const step = Math.max(1, Math.round(count * 0.2));
+
+    switch (decision.action) {
+      case QUALITY_ACTIONS.REMOVE_PARTICLES:
+        this.removeOldest(Math.min(step, count - this.config.minParticles));
+        break;
+
+      case QUALITY_ACTIONS.ADD_PARTICLES:
+        for (let i = 0; i < Math.min(step, this.config.maxParticles - count); i++) {
+          this.spawn({
+            x: this.lateRandom() * this.width,
+            y: this.lateRandom() * this.height * 0.3
+          });
+        }
+        break;
+
+      case QUALITY_ACTIONS.LOWER_FPS:
+        this.config.targetFPS = this.minFPS;
+        break;
+
+      case QUALITY_ACTIONS.RAISE_FPS:
+        this.config.targetFPS = this.baseFPS;
+        break;
+
+      case QUALITY_ACTIONS.STATIC:
+        // Keep the last frame on screen and stop animating
+        this.isStatic = true;
+        break;
+    }
+
+    logger.info('Physics quality:', decision.action, decision);
+
+    return decision;
+  }
+
+  /**
+   * Give the quality governor a fresh start, e.g. when the scene is resumed
+   */
+  resetQuality() {
+    this.isStatic = false;
+
+    if (this.governor) {
+      this.governor.reset();
+    }
+  }
+
+  /**
+   * @returns {number} The lowest frame rate the governor may choose
+   */
+  get minFPS() {
+    return Math.min(this.config.minFPS, this.baseFPS);
+  }
+
+  /**
+   * Change tuning values while the scene runs, e.g. from the debug overlay
+   * @param {Object} changes - Config values by key (see physics-config.js)
+   */
+  setConfig(changes) {
+    Object.assign(this.config, changes);
+
+    if (changes.targetFPS !== undefined) {
+      this.baseFPS = changes.targetFPS;
+    }
+    this.#applyGravity();
+  }
+
+  /**
+   * Tilt the gravity of the preset, e.g. with the device orientation
+   * @param {Object} tilt - Tilt {x, y}, each between -1 and 1
+   */
+  setTilt(tilt) {
+    this.tilt = { x: tilt.x, y: tilt.y };
+    this.#applyGravity();
+  }
+
+  /**
+   * Put the posts back where a restored state left them
+   */
+  #placePosts() {
+    this.postBodies.forEach((body) => {
+      const state = this.postStates.find(({ url }) => url === body.plugin.post.url);
+      if (state) {
+        setBodyMotion(body, state);
+      }
+    });
+    this.postStates = null;
+  }
+
+  #applyGravity() {
+    const gravity = this.preset.gravity || this.config.gravity;
+
+    this.engine.gravity.x = gravity.x + this.tilt.x * TILT_GRAVITY;
+    this.engine.gravity.y = gravity.y + this.tilt.y * TILT_GRAVITY;
+  }
+
+  /**
+   * Remove every body, constraint and engine listener
+   */
+  destroy() {
+    Matter.World.clear(this.world, false);
+    Matter.Engine.clear(this.engine);
+    Matter.Events.off(this.engine);
+
+    this.particles = [];
+    this.postBodies = [];
+    this.letters = [];
+    this.obstacles = [];
+    this.boundaries = [];
+  }
+
+  /**
+   * Get the state and recent decisions of the quality governor, for debugging
+   * @returns {Object} State {enabled, static, fps, particleCount, history}
+   */
+  getQualityStats() {
+    return {
+      enabled: Boolean(this.governor),
+      static: this.isStatic,
+      fps: this.config.targetFPS,
+      particleCount: this.decorationCount,
+      history: this.governor ? [...this.governor.history] : []
+    };
+  }
+}
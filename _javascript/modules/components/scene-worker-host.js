@@ -0,0 +1,292 @@
+/**
+ * Scene Worker Host Module
+ * Main-thread side of the physics worker. Offers the same interface as `SceneRunner`,
+ * but forwards every call to the worker, which owns the engine and the OffscreenCanvas.
+ */
+
+import { logger } from './physics-logger';
+
+// Layout of the body snapshots posted back by the worker (see physics-worker.js)
+export const SNAPSHOT_STRIDE = 7;
+
+/**
+ * Check whether the browser can run the scene in a worker
+ * @param {HTMLCanvasElement} canvas
+ * @returns {boolean}
+ */
+export function supportsWorkerScene(canvas) {
+  return typeof Worker !== 'undefined' && typeof canvas.transferControlToOffscreen === 'function';
+}
+
+const POINTER_EVENTS = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave'];
+
+export class WorkerScene {
+  #worker;
+  #isRunning = false;
+  #isDragging = false;
+  #bodies = new Float32Array(0);
+  #postProxies = [];
+  #pointerSource = [];
+  #forwardPointers = null;
+  #qualityStats = { enabled: false, static: false, fps: 0, particleCount: 0, history: [] };
+  #state = null;
+  #captures = [];
+  #debugStats = { fps: 0, stepTime: 0, bodies: 0, sleeping: 0, fields: 0, pairs: 0 };
+
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to hand over to the worker
+   * @param {string} workerSrc - URL of the worker script
+   * @param {Object} config - Scene configuration (see physics-config.js)
+   * @param {Object} options - Initial state {width, height, pixelRatio, colors, highlightColor},
+   *   and `onFrame()` called after every frame rendered by the worker
+   */
+  constructor(canvas, workerSrc, config, { width, height, pixelRatio, colors, highlightColor, onFrame }) {
+    this.canvas = canvas;
+    this.config = config;
+    this.onFrame = onFrame || (() => {});
+
+    this.#worker = new Worker(workerSrc);
+    this.#worker.addEventListener('message', (event) => this.#handleMessage(event.data));
+    this.#worker.addEventListener('error', (event) => {
+      logger.error('Physics worker failed:', event.message);
+    });
+
+    const offscreen = canvas.transferControlToOffscreen();
+    this.#post(
+      { type: 'init', canvas: offscreen, config, width, height, pixelRatio, colors, highlightColor },
+      [offscreen]
+    );
+
+    // Drags are applied by the mouse constraint inside the worker
+    this.drag = {
+      start: (position) => {
+        this.#isDragging = true;
+        this.#post({ type: 'drag', phase: 'start', position });
+      },
+      move: (position) => {
+        if (this.#isDragging) {
+          this.#post({ type: 'drag', phase: 'move', position });
+        }
+      },
+      end: (position) => {
+        if (this.#isDragging) {
+          this.#isDragging = false;
+          this.#post({ type: 'drag', phase: 'end', position });
+        }
+      }
+    };
+  }
+
+  get running() {
+    return this.#isRunning;
+  }
+
+  start() {
+    this.#isRunning = true;
+    this.#post({ type: 'start' });
+  }
+
+  stop() {
+    this.#isRunning = false;
+    this.#post({ type: 'stop' });
+  }
+
+  render() {
+    this.#post({ type: 'render' });
+  }
+
+  resize(width, height, pixelRatio) {
+    this.#post({ type: 'resize', width, height, pixelRatio });
+  }
+
+  setObstacles(rects) {
+    this.#post({ type: 'obstacles', rects });
+  }
+
+  setColors(colors, highlightColor, fadeDuration = 0) {
+    this.#post({ type: 'colors', colors, highlightColor, fadeDuration });
+  }
+
+  setForceMode(mode) {
+    this.config.forceMode = mode;
+    this.#post({ type: 'force-mode', mode });
+  }
+
+  setPreset(name) {
+    this.config.preset = name;
+    this.#post({ type: 'preset', name });
+  }
+
+  setTilt(tilt) {
+    this.#post({ type: 'tilt', tilt });
+  }
+
+  /**
+   * Forward the pointers to the worker whenever they change
+   * @param {Map<number, Object>} pointers - Live pointer map of the mouse tracker
+   */
+  setPointers(pointers) {
+    this.#pointerSource = pointers;
+
+    if (this.#forwardPointers) return;
+
+    this.#forwardPointers = () => {
+      this.#post({ type: 'pointers', pointers: [...this.#pointerSource.values()] });
+    };
+
+    POINTER_EVENTS.forEach((type) => {
+      this.canvas.addEventListener(type, this.#forwardPointers);
+    });
+  }
+
+  spawn(position) {
+    this.#post({ type: 'spawn', position });
+  }
+
+  /**
+   * Find the body under a point in the latest snapshot, by its bounding box
+   * @param {Object} point - Position {x, y} in canvas coordinates
+   * @returns {Object|null} A body-like object {position, plugin}
+   */
+  findBodyAt(point) {
+    const bodies = this.#bodies;
+
+    // Later bodies are drawn on top
+    for (let i = bodies.length - SNAPSHOT_STRIDE; i >= 0; i -= SNAPSHOT_STRIDE) {
+      const [x, y, minX, minY, maxX, maxY, postIndex] = bodies.subarray(i, i + SNAPSHOT_STRIDE);
+
+      if (point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY) {
+        return postIndex >= 0 ? this.#postProxies[postIndex] : { position: { x, y }, plugin: {} };
+      }
+    }
+    return null;
+  }
+
+  setLetters(glyphs) {
+    this.#post({ type: 'letters', glyphs });
+  }
+
+  /**
+   * @param {Array} posts - Entries from the search index
+   * @returns {Array} Body-like objects {position, plugin: {post}}, kept in sync with the worker
+   */
+  addPosts(posts) {
+    this.#postProxies = posts.map((post) => ({ position: { x: 0, y: 0 }, plugin: { post } }));
+    this.#post({ type: 'posts', posts });
+    return this.#postProxies;
+  }
+
+  setHighlight(bodies) {
+    const indices = bodies.map((body) => this.#postProxies.indexOf(body)).filter((index) => index >= 0);
+    this.#post({ type: 'highlight', indices });
+  }
+
+  getQualityStats() {
+    return this.#qualityStats;
+  }
+
+  /**
+   * @returns {Promise<ImageBitmap>} The frame on the OffscreenCanvas, in device pixels
+   */
+  captureFrame() {
+    return new Promise((resolve) => {
+      // The worker answers in order
+      this.#captures.push(resolve);
+      this.#post({ type: 'capture' });
+    });
+  }
+
+  /**
+   * @returns {Object} The latest stats the worker posted, it does so while debugging
+   */
+  getDebugStats() {
+    return this.#debugStats;
+  }
+
+  setConfig(changes) {
+    Object.assign(this.config, changes);
+    this.#post({ type: 'config', changes });
+  }
+
+  /**
+   * @param {boolean} enabled - Whether the worker logs its progress and posts debug stats
+   */
+  setDebug(enabled) {
+    this.#post({ type: 'debug', enabled });
+  }
+
+  /**
+   * @returns {Object|null} The latest state the worker posted, it does so now and then and when stopped
+   */
+  getState() {
+    return this.#state;
+  }
+
+  restoreState(state) {
+    this.#post({ type: 'restore', state });
+  }
+
+  /**
+   * Terminate the worker. A canvas handed over to a worker can't be drawn on again,
+   * so it is replaced in the document by a fresh copy, returned for a new scene.
+   * @returns {HTMLCanvasElement} The replacement canvas
+   */
+  destroy() {
+    if (this.#forwardPointers) {
+      POINTER_EVENTS.forEach((type) => {
+        this.canvas.removeEventListener(type, this.#forwardPointers);
+      });
+    }
+
+    this.#worker.terminate();
+    this.#isRunning = false;
+
+    const replacement = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(replacement);
+    return replacement;
+  }
+
+  #post(message, transfer = []) {
+    this.#worker.postMessage(message, transfer);
+  }
+
+  #handleMessage(message) {
+    switch (message.type) {
+      case 'frame':
+        this.#bodies = message.bodies;
+        this.#syncPostProxies();
+        if (message.quality) {
+          this.#qualityStats = message.quality;
+        }
+        if (message.stats) {
+          this.#debugStats = message.stats;
+        }
+        if (message.quality && message.quality.static) {
+          this.#isRunning = false;
+        }
+        this.onFrame();
+        break;
+
+      case 'state':
+        this.#state = message.state;
+        break;
+
+      case 'capture':
+        this.#captures.shift()(message.bitmap);
+        break;
+    }
+  }
+
+  #syncPostProxies() {
+    const bodies = this.#bodies;
+
+    for (let i = 0; i < bodies.length; i += SNAPSHOT_STRIDE) {
+      const proxy = this.#postProxies[bodies[i + 6]];
+
+      if (proxy) {
+        proxy.position.x = bodies[i];
+        proxy.position.y = bodies[i + 1];
+      }
+    }
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Seeded Random Module
+ * Reproducible random numbers for the physics scene, so that a seed always gives the same layout
+ */
+
+/**
+ * Create a random number generator
+ * @param {number|null} seed - 32-bit seed, or null to use `Math.random()`
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+export function createRandom(seed) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+
+  // Mulberry32: small, fast and good enough for decoration
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn a seed from the config or the URL into a 32-bit integer.
+ * Numbers are used as they are, other text is hashed, so `?seed=hello` works too.
+ * @param {number|string} value - Raw seed
+ * @returns {number|null} The seed, or null when the value is empty
+ */
+export function parseSeed(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value >>> 0 : null;
+  }
+
+  const text = String(value).trim();
+
+  if (text === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
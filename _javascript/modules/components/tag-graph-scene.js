@@ -0,0 +1,237 @@
+/**
+ * Tag Graph Scene Module
+ * Shows the tags of the Tags page as a graph of bodies that can be dragged around and opened,
+ * on the same engine helpers, pointer tracking and frame loop as the interactive home
+ */
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html)
+const Matter = self.Matter;
+
+import { buildTagGraph, createTagBodies, applyCenterPull } from './tag-graph';
+import { createBoundaries, createBodyDrag, scaleBodyPositions } from './physics-core';
+import { fetchRecentPosts, getHighlightColor } from './post-particles';
+import { getThemeColors } from './particle-system';
+import { PointerTracker } from './mouse-tracker';
+import { PointerInteraction } from './pointer-interaction';
+import { FrameLoop } from './frame-loop';
+import { FIXED_TIMESTEP } from './timestep';
+import { listen, measureCanvas, watchCanvasSize, watchVisibility } from './canvas-scene';
+import { TagGraphRenderer } from './renderer/tag-graph-renderer';
+import { logger } from './physics-logger';
+
+const TARGET_FPS = 60;
+const CENTER_PULL = 0.000002;
+
+// The loop stops once every tag moved less than this for a number of frames (px per step).
+// Matter.js sleeping can't tell, the center pull keeps a force on every tag.
+const REST_SPEED = 0.25;
+const REST_FRAMES = 60;
+
+/**
+ * Mount the tag graph of the Tags page, the static tag list stays as it is for keyboards,
+ * screen readers and reduced motion
+ * @returns {Promise<TagGraphScene|null>} The scene, or null when it can't run
+ */
+export function initTagGraph() {
+  const canvas = document.getElementById('tag-graph');
+
+  if (!canvas || !self.Matter || window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    return Promise.resolve(null);
+  }
+
+  // Tag pages by tag name, the static list knows their slugs
+  const pages = new Map(
+    [...document.querySelectorAll('#tags a.tag[data-tag]')].map((link) => [link.dataset.tag, link.href])
+  );
+
+  return fetchRecentPosts(canvas.dataset.postsSrc, Infinity)
+    .then((posts) => {
+      const graph = buildTagGraph(posts, Number(canvas.dataset.maxTags) || Infinity);
+      graph.tags = graph.tags.filter((tag) => pages.has(tag.name));
+      graph.links = graph.links.filter((link) => pages.has(link.source) && pages.has(link.target));
+
+      if (graph.tags.length === 0) {
+        return null;
+      }
+
+      canvas.classList.remove('d-none');
+      return new TagGraphScene(canvas, graph, pages);
+    })
+    .catch((error) => {
+      logger.error('Tag graph: could not load the tags', error);
+      return null;
+    });
+}
+
+export class TagGraphScene {
+  #pages;
+  #engine;
+  #boundaries;
+  #bodies;
+  #constraints;
+  #renderer;
+  #drag;
+  #tracker;
+  #interaction;
+  #loop;
+  #size;
+  #style;
+  #hovered = null;
+  #restFrames = 0;
+  #cleanups = [];
+
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on, sized by CSS
+   * @param {Object} graph - Graph from `buildTagGraph()`
+   * @param {Map<string, string>} pages - URL of the page of each tag
+   */
+  constructor(canvas, graph, pages) {
+    this.canvas = canvas;
+    this.#pages = pages;
+    this.#size = measureCanvas(canvas);
+
+    this.#engine = Matter.Engine.create({ gravity: { x: 0, y: 0 } });
+    this.#boundaries = createBoundaries(this.#engine.world, this.#size.width, this.#size.height);
+
+    const { bodies, constraints } = createTagBodies(
+      this.#engine.world,
+      graph,
+      this.#size,
+      getThemeColors()
+    );
+    this.#bodies = bodies;
+    this.#constraints = constraints;
+    this.#style = getGraphStyle();
+
+    this.#renderer = new TagGraphRenderer(canvas.getContext('2d'));
+    this.#renderer.resize(this.#size.width, this.#size.height, this.#size.pixelRatio);
+
+    // Dragging a tag pulls its neighbors along the springs, a tap opens its page
+    this.#drag = createBodyDrag(this.#engine);
+    this.#tracker = new PointerTracker(canvas);
+    this.#interaction = new PointerInteraction(canvas, {
+      findBodyAt: (point) => this.#findTagAt(point),
+      drag: this.#drag,
+      onTap: (body) => {
+        if (body) {
+          window.location.href = this.#pages.get(body.plugin.tag.name);
+        }
+      }
+    });
+
+    this.#loop = new FrameLoop(() => TARGET_FPS, () => this.#frame());
+
+    this.#watchSize();
+    this.#watchTheme();
+    this.#cleanups.push(
+      watchVisibility((hidden) => {
+        if (hidden) {
+          this.#loop.stop();
+        } else {
+          this.#wake();
+        }
+      }),
+      // Hovering and leaving update the highlight and a press may start a drag, all of them need the loop
+      listen(canvas, 'pointermove', () => this.#wake()),
+      listen(canvas, 'pointerdown', () => this.#wake()),
+      listen(canvas, 'pointerleave', () => this.#wake())
+    );
+
+    this.#wake();
+  }
+
+  /**
+   * Stop the animation and remove every listener
+   */
+  destroy() {
+    this.#loop.stop();
+    this.#cleanups.forEach((cleanup) => cleanup());
+    this.#cleanups = [];
+
+    this.#interaction.destroy();
+    this.#tracker.destroy();
+
+    Matter.World.clear(this.#engine.world, false);
+    Matter.Engine.clear(this.#engine);
+    this.#renderer.destroy();
+    this.canvas.style.cursor = '';
+  }
+
+  #frame() {
+    applyCenterPull(this.#bodies, this.#size, CENTER_PULL);
+    Matter.Engine.update(this.#engine, FIXED_TIMESTEP);
+
+    const pointer = this.#tracker.primaryPosition;
+    const hovered = this.#drag.isDragging() ? this.#hovered : pointer && this.#findTagAt(pointer);
+
+    if (hovered !== this.#hovered) {
+      this.#hovered = hovered;
+      this.canvas.style.cursor = hovered ? 'pointer' : '';
+    }
+
+    this.#renderer.render(this.#bodies, this.#constraints, { ...this.#style, highlighted: this.#hovered });
+
+    // The graph came to rest, the last frame stays on screen until the tags are touched again
+    const resting = !this.#drag.isDragging() && this.#bodies.every((body) => body.speed < REST_SPEED);
+    this.#restFrames = resting ? this.#restFrames + 1 : 0;
+
+    if (this.#restFrames >= REST_FRAMES) {
+      this.#loop.stop();
+    }
+  }
+
+  /**
+   * Run the loop again until the graph comes to rest, e.g. after an interaction or a change of the canvas
+   */
+  #wake() {
+    this.#restFrames = 0;
+    this.#loop.start();
+  }
+
+  #findTagAt(point) {
+    const hits = Matter.Query.point(this.#bodies, point);
+    return hits.length > 0 ? hits[0] : null;
+  }
+
+  #watchSize() {
+    const resize = (size) => {
+      scaleBodyPositions(this.#bodies, size.width / this.#size.width, size.height / this.#size.height);
+      Matter.World.remove(this.#engine.world, this.#boundaries);
+      this.#boundaries = createBoundaries(this.#engine.world, size.width, size.height);
+
+      this.#size = size;
+      this.#renderer.resize(size.width, size.height, size.pixelRatio);
+      this.#wake();
+    };
+
+    this.#cleanups.push(watchCanvasSize(this.canvas, resize));
+  }
+
+  /**
+   * Recolor the tags when the theme changes
+   */
+  #watchTheme() {
+    const unsubscribe = Theme.onChange(() => {
+      const colors = getThemeColors();
+      this.#bodies.forEach((body, index) => {
+        body.render.fillStyle = colors[index % colors.length];
+      });
+      this.#style = getGraphStyle();
+
+      // Draw the new colors even while the graph is at rest
+      this.#wake();
+    });
+
+    this.#cleanups.push(unsubscribe);
+  }
+}
+
+/**
+ * @returns {Object} Theme colors {link, highlight} of the springs and the hovered tag
+ */
+function getGraphStyle() {
+  return {
+    link: getComputedStyle(document.documentElement).getPropertyValue('--tag-border').trim(),
+    highlight: getHighlightColor()
+  };
+}
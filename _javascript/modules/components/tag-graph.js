@@ -0,0 +1,136 @@
+/**
+ * Tag Graph Module
+ * Turns the tags of the search index into a graph of bodies, one per tag, sized by its number of posts.
+ * Tags that share posts are joined by springs. DOM-free, like the scene simulation.
+ */
+
+// Matter.js is loaded via CDN (see _includes/js-selector.html)
+const Matter = self.Matter;
+
+const MIN_RADIUS = 18;
+const MAX_RADIUS = 48;
+
+// Free length of a spring, on top of the radii of the two tags
+const LINK_GAP = 60;
+
+// Spring stiffness per shared post, and its upper limit
+const LINK_STIFFNESS = 0.002;
+const MAX_LINK_STIFFNESS = 0.01;
+
+/**
+ * Count the tags and the pairs of tags that appear together on posts
+ * @param {Array} posts - Entries from the search index, with comma-separated `tags`
+ * @param {number} maxTags - Keep only this many of the most used tags
+ * @returns {Object} Graph {tags: [{name, count}], links: [{source, target, count}]}, by tag name
+ */
+export function buildTagGraph(posts, maxTags) {
+  const counts = new Map();
+  const pairs = new Map();
+
+  posts.forEach((post) => {
+    const tags = [...new Set(splitTags(post.tags))];
+
+    tags.forEach((tag, index) => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+
+      tags.slice(index + 1).forEach((other) => {
+        const key = JSON.stringify([tag, other].sort());
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      });
+    });
+  });
+
+  const tags = [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, maxTags);
+
+  const names = new Set(tags.map((tag) => tag.name));
+  const links = [...pairs.entries()]
+    .map(([key, count]) => {
+      const [source, target] = JSON.parse(key);
+      return { source, target, count };
+    })
+    .filter((link) => names.has(link.source) && names.has(link.target));
+
+  return { tags, links };
+}
+
+/**
+ * Create one round body per tag and one spring per link
+ * @param {Matter.World} world - Matter.js world
+ * @param {Object} graph - Graph from `buildTagGraph()`
+ * @param {Object} bounds - Canvas size {width, height}
+ * @param {Array<string|Array<string>>} colors - Palette of colors and gradients
+ * @param {Function} random - Random number generator (see seeded-random.js)
+ * @returns {Object} Matter.js {bodies, constraints}
+ */
+export function createTagBodies(world, graph, { width, height }, colors, random = Math.random) {
+  const maxCount = Math.max(1, ...graph.tags.map((tag) => tag.count));
+  const bodiesByName = new Map();
+
+  const bodies = graph.tags.map((tag, index) => {
+    const radius = MIN_RADIUS + Math.sqrt(tag.count / maxCount) * (MAX_RADIUS - MIN_RADIUS);
+    const x = radius + random() * Math.max(1, width - radius * 2);
+    const y = radius + random() * Math.max(1, height - radius * 2);
+
+    const body = Matter.Bodies.circle(x, y, radius, {
+      restitution: 0.3,
+      friction: 0.05,
+      frictionAir: 0.08,
+      label: 'tag',
+      render: {
+        fillStyle: colors[index % colors.length]
+      }
+    });
+
+    body.plugin.tag = tag;
+    bodiesByName.set(tag.name, body);
+
+    return body;
+  });
+
+  const constraints = graph.links.map((link) => {
+    const bodyA = bodiesByName.get(link.source);
+    const bodyB = bodiesByName.get(link.target);
+
+    return Matter.Constraint.create({
+      bodyA,
+      bodyB,
+      length: bodyA.circleRadius + bodyB.circleRadius + LINK_GAP,
+      stiffness: Math.min(LINK_STIFFNESS * link.count, MAX_LINK_STIFFNESS),
+      damping: 0.05,
+      label: 'tag-link'
+    });
+  });
+
+  Matter.World.add(world, [...bodies, ...constraints]);
+
+  return { bodies, constraints };
+}
+
+/**
+ * Pull the tags gently toward the center, so that unconnected groups stay in view
+ * @param {Array} bodies - Tag bodies
+ * @param {Object} bounds - Canvas size {width, height}
+ * @param {number} strength - Acceleration per pixel of distance
+ */
+export function applyCenterPull(bodies, { width, height }, strength) {
+  bodies.forEach((body) => {
+    Matter.Body.applyForce(body, body.position, {
+      x: (width / 2 - body.position.x) * body.mass * strength,
+      y: (height / 2 - body.position.y) * body.mass * strength
+    });
+  });
+}
+
+/**
+ * @param {string} tags - Comma-separated tags of a post
+ * @returns {Array<string>}
+ */
+function splitTags(tags) {
+  return (tags || '')
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,131 @@
+/**
+ * Tilt Gravity Module
+ * Reads how the device is tilted, so that gravity follows the phone like in a snow globe
+ */
+
+import { isTouchDevice } from './mouse-tracker';
+
+// Weight of the newest reading in the smoothed tilt
+const SMOOTHING = 0.15;
+
+// Ignore changes smaller than this, to keep the scene calm when the phone rests in the hand
+const THRESHOLD = 0.01;
+
+export class TiltGravity {
+  #onChange;
+  #neutral = null;
+  #tilt = { x: 0, y: 0 };
+  #active = false;
+
+  /**
+   * @returns {boolean} Whether the device may report its orientation
+   */
+  static isSupported() {
+    return typeof DeviceOrientationEvent !== 'undefined' && isTouchDevice();
+  }
+
+  /**
+   * Ask for access to the orientation, which iOS requires. Must be called from a user gesture.
+   * @returns {Promise<boolean>} Whether access was granted
+   */
+  static requestPermission() {
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+      return Promise.resolve(true);
+    }
+
+    return DeviceOrientationEvent.requestPermission()
+      .then((state) => state === 'granted')
+      .catch(() => false);
+  }
+
+  /**
+   * @param {Function} onChange - Called with the tilt {x, y}, each between -1 and 1
+   */
+  constructor(onChange) {
+    this.#onChange = onChange;
+  }
+
+  /**
+   * @returns {boolean} Whether the orientation is being followed
+   */
+  get active() {
+    return this.#active;
+  }
+
+  /**
+   * Follow the orientation, taking the current one as level
+   */
+  start() {
+    if (this.#active) return;
+
+    this.#active = true;
+    this.calibrate();
+    window.addEventListener('deviceorientation', this.#handleOrientation);
+  }
+
+  stop() {
+    if (!this.#active) return;
+
+    this.#active = false;
+    window.removeEventListener('deviceorientation', this.#handleOrientation);
+    this.#tilt = { x: 0, y: 0 };
+  }
+
+  /**
+   * Take the next reading as level
+   */
+  calibrate() {
+    this.#neutral = null;
+  }
+
+  /**
+   * @param {DeviceOrientationEvent} event
+   */
+  #handleOrientation = (event) => {
+    // Devices without a sensor fire a single event with empty angles
+    if (event.beta === null || event.gamma === null) return;
+
+    if (!this.#neutral) {
+      this.#neutral = { beta: event.beta, gamma: event.gamma };
+    }
+
+    const raw = toScreen(
+      Math.sin(toRadians(event.gamma - this.#neutral.gamma)),
+      Math.sin(toRadians(event.beta - this.#neutral.beta))
+    );
+
+    const tilt = {
+      x: this.#tilt.x + (raw.x - this.#tilt.x) * SMOOTHING,
+      y: this.#tilt.y + (raw.y - this.#tilt.y) * SMOOTHING
+    };
+
+    if (Math.abs(tilt.x - this.#tilt.x) < THRESHOLD && Math.abs(tilt.y - this.#tilt.y) < THRESHOLD) {
+      return;
+    }
+
+    this.#tilt = tilt;
+    this.#onChange(tilt);
+  };
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Turn a tilt in device axes into screen axes, which differ in landscape
+ * @param {number} x - Tilt to the right of the device
+ * @param {number} y - Tilt toward the bottom of the device
+ * @returns {Object} Tilt {x, y}
+ */
+function toScreen(x, y) {
+  const angle = screen.orientation ? screen.orientation.angle : window.orientation || 0;
+  const radians = toRadians(-angle);
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  return {
+    x: x * cos - y * sin,
+    y: x * sin + y * cos
+  };
+}
@@ -0,0 +1,7 @@
+/**
+ * Timestep Module
+ * Step length shared by the scenes that advance their engine in constant increments
+ */
+
+// Step length of the fixed-timestep mode (ms)
+export const FIXED_TIMESTEP = 1000 / 60;
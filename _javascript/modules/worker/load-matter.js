@@ -0,0 +1,12 @@
+/**
+ * Load Matter.js into the physics worker. Imported first, so that it runs
+ * before the modules that read `self.Matter` are evaluated.
+ *
+ * The library URL is passed as the `matter` parameter of the worker URL.
+ */
+
+const matterSrc = new URL(self.location.href).searchParams.get('matter');
+
+if (matterSrc) {
+  importScripts(matterSrc);
+}
@@ -0,0 +1,111 @@
+/**
+ * Physics Worker - Entry Point
+ * Runs the physics scene of the interactive home on an OffscreenCanvas,
+ * driven by messages from `WorkerScene` (see modules/components/scene-worker-host.js)
+ */
+
+import './modules/worker/load-matter';
+import { SceneRunner } from './modules/components/scene-runner';
+import { SNAPSHOT_STRIDE } from './modules/components/scene-worker-host';
+import { setVerboseLogging } from './modules/components/physics-logger';
+
+// Frames between two states posted for the main thread to save (see `WorkerScene.getState()`)
+const STATE_INTERVAL = 30;
+
+let runner = null;
+let postBodies = [];
+let decisionCount = 0;
+let frameCount = 0;
+let debug = false;
+
+/**
+ * Post the position and bounding box of every body, so that the main thread
+ * can hit-test pointers and place the post preview
+ */
+function postSnapshot() {
+  const { particles, letters } = runner.simulation;
+  const all = [...particles, ...letters];
+  const bodies = new Float32Array(all.length * SNAPSHOT_STRIDE);
+
+  all.forEach((body, index) => {
+    const offset = index * SNAPSHOT_STRIDE;
+    bodies[offset] = body.position.x;
+    bodies[offset + 1] = body.position.y;
+    bodies[offset + 2] = body.bounds.min.x;
+    bodies[offset + 3] = body.bounds.min.y;
+    bodies[offset + 4] = body.bounds.max.x;
+    bodies[offset + 5] = body.bounds.max.y;
+    bodies[offset + 6] = postBodies.indexOf(body);
+  });
+
+  // Only send the quality stats after the governor made a decision
+  const quality = runner.getQualityStats();
+  const hasDecision = quality.history.length !== decisionCount || quality.static;
+  decisionCount = quality.history.length;
+
+  const stats = debug ? runner.getDebugStats() : null;
+
+  self.postMessage({ type: 'frame', bodies, quality: hasDecision ? quality : null, stats }, [bodies.buffer]);
+
+  frameCount++;
+  if (frameCount % STATE_INTERVAL === 0) {
+    postState();
+  }
+}
+
+function postState() {
+  self.postMessage({ type: 'state', state: runner.getState() });
+}
+
+const handlers = {
+  init({ canvas, config, width, height, pixelRatio, colors, highlightColor }) {
+    runner = new SceneRunner(canvas.getContext('2d'), config, {
+      width,
+      height,
+      pixelRatio,
+      colors,
+      highlightColor,
+      onFrame: postSnapshot
+    });
+    runner.render();
+  },
+  start: () => runner.start(),
+  stop() {
+    runner.stop();
+    postState();
+  },
+  render: () => runner.render(),
+  resize: ({ width, height, pixelRatio }) => runner.resize(width, height, pixelRatio),
+  obstacles: ({ rects }) => runner.setObstacles(rects),
+  colors: ({ colors, highlightColor, fadeDuration }) => runner.setColors(colors, highlightColor, fadeDuration),
+  'force-mode': ({ mode }) => runner.setForceMode(mode),
+  preset: ({ name }) => runner.setPreset(name),
+  tilt: ({ tilt }) => runner.setTilt(tilt),
+  pointers: ({ pointers }) => runner.setPointers(pointers),
+  spawn: ({ position }) => runner.spawn(position),
+  letters: ({ glyphs }) => runner.setLetters(glyphs),
+  drag: ({ phase, position }) => runner.drag[phase](position),
+  posts({ posts }) {
+    postBodies = runner.addPosts(posts);
+  },
+  restore: ({ state }) => runner.restoreState(state),
+  config: ({ changes }) => runner.setConfig(changes),
+  capture() {
+    runner.captureFrame().then((bitmap) => self.postMessage({ type: 'capture', bitmap }, [bitmap]));
+  },
+  debug({ enabled }) {
+    debug = enabled;
+    setVerboseLogging(enabled);
+  },
+  highlight({ indices }) {
+    runner.setHighlight(indices.map((index) => postBodies[index]).filter(Boolean));
+  }
+};
+
+self.addEventListener('message', (event) => {
+  const handler = handlers[event.data.type];
+
+  if (handler) {
+    handler(event.data);
+  }
+});
@@ -3,6 +3,9 @@ importScripts('./assets/js/data/swconf.js');
 const purge = swconf.purge;
 const interceptor = swconf.interceptor;
 
+// Seconds network-first waits for the network before serving the cached copy
+const DEFAULT_TIMEOUT = 3;
+
 function verifyUrl(url) {
   const requestUrl = new URL(url);
   const requestPath = requestUrl.pathname;
@@ -25,6 +28,124 @@ function verifyUrl(url) {
   return true;
 }
 
+/**
+ * Find the caching rule of a request, the first route in swconf that matches it
+ * @param {Request} request
+ * @returns {Object|null} The route, with the name of its own cache, or null
+ */
+function findRoute(request) {
+  const url = new URL(request.url);
+  const index = swconf.routes.findIndex(
+    (route) =>
+      (!route.destination || request.destination === route.destination) &&
+      (!route.path || (url.origin === self.location.origin && url.pathname.startsWith(route.path))) &&
+      (!route.pattern || new RegExp(route.pattern).test(url.href))
+  );
+
+  if (index === -1) {
+    return null;
+  }
+  return { ...swconf.routes[index], cacheName: `${swconf.cacheName}-${index}` };
+}
+
+/**
+ * Drop the oldest responses of a route beyond its `maxEntries`
+ * @param {Object} route
+ */
+function trimCache(route) {
+  if (!route.maxEntries) {
+    return Promise.resolve();
+  }
+
+  return caches.open(route.cacheName).then((cache) => {
+    return cache.keys().then((keys) => {
+      const excess = keys.slice(0, Math.max(0, keys.length - route.maxEntries));
+      return Promise.all(excess.map((key) => cache.delete(key)));
+    });
+  });
+}
+
+/**
+ * Fetch a request and keep a copy of the response in the cache of its route
+ * @param {FetchEvent} event
+ * @param {Object} route
+ * @returns {Promise<Response>}
+ */
+function fetchAndCache(event, route) {
+  const { request } = event;
+  const network = fetch(request);
+
+  // The copy is taken before the page reads the response
+  event.waitUntil(
+    network
+      .then((response) => {
+        // Responses from other sites without CORS can't be checked, they are kept as they are
+        if (!response.ok && response.type !== 'opaque') {
+          return;
+        }
+
+        const copy = response.clone();
+        return caches
+          .open(route.cacheName)
+          .then((cache) => cache.put(request, copy))
+          .then(() => trimCache(route));
+      })
+      .catch(() => {})
+  );
+
+  return network;
+}
+
+/**
+ * Find the cached response of a request, preferring the copy its route stored over the one from the installation
+ * @param {Object} route
+ * @param {Request} request
+ * @returns {Promise<Response|undefined>}
+ */
+function matchCache(route, request) {
+  return caches
+    .open(route.cacheName)
+    .then((cache) => cache.match(request))
+    .then((response) => response || caches.match(request));
+}
+
+function networkFirst(event, route) {
+  const network = fetchAndCache(event, route);
+  const cached = () => matchCache(route, event.request).then((response) => response || network);
+  let timer = null;
+
+  // A slow network falls back to the cache, if it has nothing the network is awaited anyway
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, (route.timeout || DEFAULT_TIMEOUT) * 1000);
+  }).then(cached);
+
+  // Once the network settled, the cache is no longer needed in time
+  const stopTimer = () => clearTimeout(timer);
+  network.then(stopTimer, stopTimer);
+
+  return Promise.race([network.catch(cached), timeout]);
+}
+
+function staleWhileRevalidate(event, route) {
+  const network = fetchAndCache(event, route);
+  return matchCache(route, event.request).then((response) => response || network);
+}
+
+function cacheFirst(event, route) {
+  return matchCache(route, event.request).then((response) => response || fetchAndCache(event, route));
+}
+
+function networkOnly(event) {
+  return fetch(event.request);
+}
+
+const strategies = {
+  'network-first': networkFirst,
+  'stale-while-revalidate': staleWhileRevalidate,
+  'cache-first': cacheFirst,
+  'network-only': networkOnly
+};
+
 self.addEventListener('install', (event) => {
   if (purge) {
     return;
@@ -45,7 +166,8 @@ self.addEventListener('activate', (event) => {
           if (purge) {
             return caches.delete(key);
           } else {
-            if (key !== swconf.cacheName) {
+            // The caches of the routes belong to the same build
+            if (key !== swconf.cacheName && !key.startsWith(`${swconf.cacheName}-`)) {
               return caches.delete(key);
             }
           }
@@ -62,31 +184,18 @@ self.addEventListener('message', (event) => {
 });
 
 self.addEventListener('fetch', (event) => {
-  if (event.request.headers.has('range')) {
+  const { request } = event;
+
+  if (purge || request.method !== 'GET' || request.headers.has('range') || !verifyUrl(request.url)) {
     return;
   }
 
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      if (response) {
-        return response;
-      }
-
-      return fetch(event.request).then((response) => {
-        const url = event.request.url;
-
-        if (purge || event.request.method !== 'GET' || !verifyUrl(url)) {
-          return response;
-        }
+  const route = findRoute(request);
 
-        // See: <https://developers.google.com/web/fundamentals/primers/service-workers#cache_and_return_requests>
-        let responseToCache = response.clone();
+  // Left to the browser, as if there were no service worker
+  if (route === null || !(route.strategy in strategies)) {
+    return;
+  }
 
-        caches.open(swconf.cacheName).then((cache) => {
-          cache.put(event.request, responseToCache);
-        });
-        return response;
-      });
-    })
-  );
+  event.respondWith(strategies[route.strategy](event, route));
 });
@@ -0,0 +1,12 @@
+/**
+ * Tags - Entry Point
+ * Tags page, with the tag graph when it is enabled
+ */
+
+import { basic, initSidebar, initTopbar } from './modules/layouts';
+import { initTagGraph } from './modules/components/tag-graph-scene';
+
+initSidebar();
+initTopbar();
+basic();
+initTagGraph();
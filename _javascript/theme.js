@@ -2,6 +2,17 @@
  * Theme management class
  *
  * To reduce flickering during page load, this script should be loaded synchronously.
+ *
+ * The chosen mode is remembered per tab, or across sessions and synced between the tabs
+ * of the site or of the whole origin, see `data-scope` on the script tag (`theme_mode_scope` in _config.yml).
+ *
+ * Besides light and dark, named themes such as high contrast or sepia can be offered (`theme_variants`
+ * in _config.yml). Each one is based on the light or dark scheme, which consumers fall back to.
+ *
+ * A switch of mode can be animated, see `data-transition` (`theme_transition` in _config.yml).
+ *
+ * Scripts of the page follow changes with `Theme.onChange()`. A change of the visible mode is also posted
+ * to the window as `{ id: Theme.ID }`, for the comment widgets that pass it on to their iframes.
  */
 class Theme {
   static #modeKey = 'mode';
@@ -9,6 +20,31 @@ class Theme {
   static #darkMedia = window.matchMedia('(prefers-color-scheme: dark)');
   static switchable = !document.documentElement.hasAttribute(this.#modeAttr);
 
+  // Options of the script tag, only readable while the script runs
+  static #options = document.currentScript ? document.currentScript.dataset : {};
+  static #scope = this.#options.scope || 'site';
+  static #storage = this.#scope === 'tab' ? sessionStorage : localStorage;
+  static #storageKey =
+    this.#scope === 'site' ? `${this.#modeKey}:${this.#options.baseurl || '/'}` : this.#modeKey;
+  static #animated = this.#options.transition === 'true';
+
+  // Classes on the root element while a switch of mode is animated, styled in _sass/base/_base.scss
+  static #revealClass = 'mode-reveal';
+  static #fadeClass = 'mode-fade';
+  static #transitionDuration = 400;
+  static #fadeTimer = null;
+
+  // Scheme of every theme by its name, which is its `data-mode` value
+  static #themes = new Map([
+    ['light', 'light'],
+    ['dark', 'dark']
+  ]);
+
+  static #events = new EventTarget();
+
+  // State the subscribers were last told about
+  static #state = null;
+
   static get DARK() {
     return 'dark';
   }
@@ -17,6 +53,10 @@ class Theme {
     return 'light';
   }
 
+  static get SYSTEM() {
+    return 'system';
+  }
+
   /**
    * @returns {string} Theme mode identifier
    */
@@ -24,6 +64,13 @@ class Theme {
     return 'theme-mode';
   }
 
+  /**
+   * @returns {string} Type of the event dispatched on a change, see `onChange()`
+   */
+  static get CHANGE() {
+    return 'change';
+  }
+
   /**
    * Gets the current visual state of the theme.
    *
@@ -38,15 +85,39 @@ class Theme {
     }
   }
 
-  static get #mode() {
-    return (
-      sessionStorage.getItem(this.#modeKey) ||
-      document.documentElement.getAttribute(this.#modeAttr)
-    );
+  /**
+   * Gets the scheme the current theme is based on.
+   *
+   * @returns {string} 'light' or 'dark'
+   */
+  static get scheme() {
+    return this.#themes.get(this.visualState) || (this.#sysDark ? this.DARK : this.LIGHT);
   }
 
-  static get #isDarkMode() {
-    return this.#mode === this.DARK;
+  /**
+   * @returns {Array<string>} Names of the themes, light and dark first
+   */
+  static get themes() {
+    return [...this.#themes.keys()];
+  }
+
+  /**
+   * Gets the mode the visitor chose.
+   *
+   * @returns {string} The name of a theme, or 'system' while the theme follows the system setting.
+   */
+  static get preference() {
+    return this.#hasMode ? this.#mode : this.SYSTEM;
+  }
+
+  static get #mode() {
+    const stored = this.#storage.getItem(this.#storageKey);
+
+    // A theme may have been removed from the site since it was chosen
+    if (this.#themes.has(stored)) {
+      return stored;
+    }
+    return document.documentElement.getAttribute(this.#modeAttr);
   }
 
   static get #hasMode() {
@@ -59,77 +130,214 @@ class Theme {
 
   /**
    * Maps theme modes to provided values
-   * @param {string} light Value for light mode
-   * @param {string} dark Value for dark mode
+   * @param {string} light Value for light mode and the themes based on it
+   * @param {string} dark Value for dark mode and the themes based on it
+   * @param {Object} variants Values for named themes, e.g. `{ sepia: 'neutral' }`
    * @returns {Object} Mapped values
    */
-  static getThemeMapper(light, dark) {
-    return {
-      [this.LIGHT]: light,
-      [this.DARK]: dark
-    };
+  static getThemeMapper(light, dark, variants = {}) {
+    const bases = { [this.LIGHT]: light, [this.DARK]: dark };
+
+    return Object.fromEntries(
+      this.themes.map((name) => [name, name in variants ? variants[name] : bases[this.#themes.get(name)]])
+    );
+  }
+
+  /**
+   * Adds a named theme, styled under `html[data-mode='<name>']`
+   * @param {string} name Theme name
+   * @param {string} scheme 'light' or 'dark', the scheme the theme is based on
+   */
+  static register(name, scheme) {
+    if (!name || name === this.SYSTEM || ![this.LIGHT, this.DARK].includes(scheme)) {
+      console.warn(`Theme "${name}" is ignored, it must be based on "light" or "dark"`);
+      return;
+    }
+    this.#themes.set(name, scheme);
+  }
+
+  /**
+   * Subscribes to changes of the theme, whether chosen on this page, in another tab or
+   * by following the system setting
+   * @param {Function} callback Called with a `CustomEvent` whose `detail` is {previous, current},
+   *   each state being {mode, scheme, preference}, see `visualState`, `scheme` and `preference`
+   * @returns {Function} Unsubscribes the callback
+   */
+  static onChange(callback) {
+    this.#events.addEventListener(this.CHANGE, callback);
+    return () => this.#events.removeEventListener(this.CHANGE, callback);
   }
 
   /**
    * Initializes the theme based on system preferences or stored mode
    */
   static init() {
+    // Named themes of the site, by their scheme
+    const variants = JSON.parse(this.#options.themes || 'null') || {};
+    Object.entries(variants).forEach(([name, scheme]) => this.register(name, scheme));
+    this.#state = this.#getState();
+
     if (!this.switchable) {
       return;
     }
 
+    // Either the page follows the system, or the chosen mode is reset to follow it
     this.#darkMedia.addEventListener('change', () => {
-      const lastMode = this.#mode;
       this.#clearMode();
+      this.#notify();
+    });
 
-      if (lastMode !== this.visualState) {
-        this.#notify();
+    // Follow the mode chosen in another tab
+    window.addEventListener('storage', (event) => {
+      if (event.storageArea !== this.#storage || (event.key !== null && event.key !== this.#storageKey)) {
+        return;
       }
+
+      this.#applyMode(event.key === null ? null : event.newValue);
+      this.#notify();
     });
 
     if (!this.#hasMode) {
       return;
     }
 
-    if (this.#isDarkMode) {
-      this.#setDark();
-    } else {
-      this.#setLight();
-    }
+    this.#setMode(this.#mode);
   }
 
   /**
    * Flips the current theme mode
+   * @param {Element|null} origin Element the new mode is revealed from, when the switch is animated
    */
-  static flip() {
-    if (this.#hasMode) {
-      this.#clearMode();
-    } else {
-      this.#sysDark ? this.#setLight() : this.#setDark();
+  static flip(origin = null) {
+    this.#transition(() => {
+      if (this.#hasMode) {
+        this.#clearMode();
+      } else {
+        this.#setMode(this.#sysDark ? this.LIGHT : this.DARK);
+      }
+      this.#notify();
+    }, origin);
+  }
+
+  /**
+   * Chooses a mode, or goes back to following the system setting
+   * @param {string} preference The name of a theme, or 'system'
+   * @param {Element|null} origin Element the new mode is revealed from, when the switch is animated
+   */
+  static setPreference(preference, origin = null) {
+    if (!this.switchable || preference === this.preference) {
+      return;
     }
-    this.#notify();
+
+    this.#transition(() => {
+      if (this.#themes.has(preference)) {
+        this.#setMode(preference);
+      } else {
+        this.#clearMode();
+      }
+      this.#notify();
+    }, origin);
   }
 
-  static #setDark() {
-    document.documentElement.setAttribute(this.#modeAttr, this.DARK);
-    sessionStorage.setItem(this.#modeKey, this.DARK);
+  /**
+   * Switches the mode in a view transition, a circle growing from the origin reveals the new one.
+   * Without the View Transitions API the colors cross-fade. The subscribers are notified within
+   * the switch, so that what they redraw is part of the new view.
+   * @param {Function} change Switches the mode and notifies
+   * @param {Element|null} origin Element the circle grows from, the page cross-fades without it
+   */
+  static #transition(change, origin) {
+    const root = document.documentElement;
+
+    if (!this.#animated || window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      change();
+      return;
+    }
+
+    if (typeof document.startViewTransition !== 'function') {
+      root.classList.add(this.#fadeClass);
+      change();
+
+      clearTimeout(this.#fadeTimer);
+      this.#fadeTimer = setTimeout(() => root.classList.remove(this.#fadeClass), this.#transitionDuration);
+      return;
+    }
+
+    const transition = document.startViewTransition(change);
+
+    if (!origin) {
+      return;
+    }
+
+    root.classList.add(this.#revealClass);
+
+    transition.ready
+      .then(() => {
+        const { left, top, width, height } = origin.getBoundingClientRect();
+        const x = left + width / 2;
+        const y = top + height / 2;
+        const radius = Math.hypot(Math.max(x, window.innerWidth - x), Math.max(y, window.innerHeight - y));
+
+        return root.animate(
+          { clipPath: [`circle(0 at ${x}px ${y}px)`, `circle(${radius}px at ${x}px ${y}px)`] },
+          {
+            duration: this.#transitionDuration,
+            easing: 'ease-in-out',
+            pseudoElement: '::view-transition-new(root)'
+          }
+        ).finished;
+      })
+      // The transition is skipped e.g. when another one starts, the mode is switched anyway
+      .catch(() => {})
+      .finally(() => root.classList.remove(this.#revealClass));
   }
 
-  static #setLight() {
-    document.documentElement.setAttribute(this.#modeAttr, this.LIGHT);
-    sessionStorage.setItem(this.#modeKey, this.LIGHT);
+  static #setMode(mode) {
+    document.documentElement.setAttribute(this.#modeAttr, mode);
+    this.#storage.setItem(this.#storageKey, mode);
   }
 
   static #clearMode() {
     document.documentElement.removeAttribute(this.#modeAttr);
-    sessionStorage.removeItem(this.#modeKey);
+    this.#storage.removeItem(this.#storageKey);
+  }
+
+  /**
+   * Show a mode that is already stored, e.g. by another tab
+   * @param {string|null} mode - The name of a theme, or null to follow the system
+   */
+  static #applyMode(mode) {
+    if (this.#themes.has(mode)) {
+      document.documentElement.setAttribute(this.#modeAttr, mode);
+    } else {
+      document.documentElement.removeAttribute(this.#modeAttr);
+    }
+  }
+
+  static #getState() {
+    return { mode: this.visualState, scheme: this.scheme, preference: this.preference };
   }
 
   /**
-   * Notifies other plugins that the theme mode has changed
+   * Notifies other plugins that the theme mode has changed,
+   * i.e. the chosen mode or the visual state
    */
   static #notify() {
-    window.postMessage({ id: this.ID }, '*');
+    const previous = this.#state;
+    const current = this.#getState();
+
+    // Nothing visible changed, e.g. another tab chose the mode this page already shows
+    if (current.mode === previous.mode && current.preference === previous.preference) {
+      return;
+    }
+
+    this.#state = current;
+    this.#events.dispatchEvent(new CustomEvent(this.CHANGE, { detail: { previous, current } }));
+
+    // The comment iframes only follow what the page looks like, not the choice behind it
+    if (current.mode !== previous.mode) {
+      window.postMessage({ id: this.ID }, '*');
+    }
   }
 }
 
@@ -22,6 +22,29 @@ const swconf = {
       {% endfor %}
     ],
 
+    {%- comment -%}
+      Caching strategy by route, the first rule that matches a request applies.
+      The rules of the site come first, then the defaults: pages and the search index from the network
+      so that new posts show up, the site's own assets from the cache as they change with `cacheName`,
+      and a limited number of assets from other sites refreshed in the background.
+    {%- endcomment -%}
+    routes: [
+      {% for route in site.pwa.cache.routes %}
+        {
+          {%- if route.path -%} path: '{{ route.path | relative_url }}', {%- endif -%}
+          {%- if route.pattern -%} pattern: {{ route.pattern | jsonify }}, {%- endif -%}
+          {%- if route.destination -%} destination: '{{ route.destination }}', {%- endif -%}
+          {%- if route.timeout -%} timeout: {{ route.timeout }}, {%- endif -%}
+          {%- if route.max_entries -%} maxEntries: {{ route.max_entries }}, {%- endif -%}
+          strategy: '{{ route.strategy }}'
+        },
+      {% endfor %}
+      { path: '{{ "/assets/js/data/search.json" | relative_url }}', strategy: 'network-first', timeout: 3 },
+      { destination: 'document', strategy: 'network-first', timeout: 3 },
+      { path: '{{ "/" | relative_url }}', strategy: 'cache-first' },
+      { pattern: '^https?://', strategy: 'stale-while-revalidate', maxEntries: 50 }
+    ],
+
     interceptor: {
       {%- comment -%} URLs containing the following paths will not be cached. {%- endcomment -%}
       paths: [
@@ -78,10 +78,12 @@ export default [
   build('commons'),
   build('home'),
   build('home-interactive'),
+  build('physics-worker'),
   build('categories'),
   build('page'),
   build('post'),
   build('misc'),
+  build('tags'),
   build('theme', { outputName: 'Theme' }),
   build('app', { src: SRC_PWA, jekyll: true }),
   build('sw', { src: SRC_PWA, jekyll: true })
@@ -0,0 +1,66 @@
+/**
+ * Check that a seeded scene in fixed steps plays out the same way every time, for each preset.
+ * The same check as the "Check determinism" button of the debug overlay, run in Node.
+ *
+ * Usage: npm run test:determinism
+ */
+
+import Matter from 'matter-js';
+import { rollup } from 'rollup';
+import { nodeResolve } from '@rollup/plugin-node-resolve';
+
+const SRC = '_javascript/modules/components';
+const ENTRY = '\0check-determinism';
+
+const SEED = 42;
+const options = { width: 800, height: 600, colors: ['#0052cc', '#ff5630', '#6554c0', '#ff8b00'] };
+
+// The components read Matter.js from the global scope where the CDN script puts it,
+// and the default config asks the browser for a touch screen, answer as a desktop
+globalThis.self = globalThis;
+globalThis.window = globalThis;
+globalThis.Matter = Matter;
+if (!globalThis.navigator) {
+  globalThis.navigator = { maxTouchPoints: 0 };
+}
+
+// The sources import without file extensions, bundle them the way the site build does
+function entry() {
+  return {
+    name: 'entry',
+    resolveId: (id) => (id === ENTRY ? id : null),
+    load: (id) =>
+      id === ENTRY
+        ? `export { checkDeterminism } from './${SRC}/scene-simulation.js';
+           export { getDefaultConfig } from './${SRC}/physics-config.js';
+           export { PRESET_NAMES } from './${SRC}/physics-presets.js';`
+        : null
+  };
+}
+
+function main() {
+  rollup({ input: ENTRY, plugins: [entry(), nodeResolve()] })
+    .then((bundle) => bundle.generate({ format: 'es' }))
+    .then(({ output }) => import(`data:text/javascript,${encodeURIComponent(output[0].code)}`))
+    .then(({ checkDeterminism, getDefaultConfig, PRESET_NAMES }) => {
+      const results = PRESET_NAMES.map((preset) => {
+        const result = checkDeterminism({ ...getDefaultConfig(), preset, seed: SEED }, options);
+
+        console.log(
+          `${result.reproducible ? 'ok' : 'FAIL'} ${preset}: ${result.bodies} particles after ${result.steps} steps,`,
+          `${result.mismatches} mismatches`
+        );
+        return result;
+      });
+
+      if (!results.every((result) => result.reproducible)) {
+        process.exitCode = 1;
+      }
+    })
+    .catch((err) => {
+      console.error('Error during the determinism check:', err);
+      process.exitCode = 1;
+    });
+}
+
+main();